@@ -5,10 +5,41 @@ export function generateId() {
   return `${randomChars()}-${randomChars(4)}-${randomChars(4)}-${randomChars(4)}-${randomChars(12)}`;
 }
 
-export class Revision {
+// Microtask scheduler: functions scheduled during the same tick run once, together, in the next microtask
+export class Scheduler {
   #queue = new Set(); // Queue to hold scheduled functions
   #isFlushing = false; // Flag to indicate if flushing is in progress
 
+  schedule(fn, context) {
+    this.#queue.add(fn); // Add function to the queue (the same function is only queued once)
+
+    // If not currently flushing, initiate the flush process
+    if (!this.#isFlushing) {
+      this.#isFlushing = true; // Set flushing flag
+      queueMicrotask(() => this.flush(context)); // Schedule flush
+    }
+  }
+
+  flush(context) {
+    try {
+      for (const fn of this.#queue) {
+        this.#queue.delete(fn); // functions scheduled while flushing are still picked up by this loop
+        fn.bind(context)(); // Execute each function in the queue
+      }
+    } finally {
+      this.#isFlushing = false; // Reset flushing flag, even when a function threw
+      if (this.#queue.size) {
+        // the rest of the queue runs in the next microtask, the error still reaches the caller
+        this.#isFlushing = true;
+        queueMicrotask(() => this.flush(context));
+      }
+    }
+  }
+}
+
+export class Revision {
+  #scheduler = new Scheduler(); // Queue of scheduled functions
+
   #uuid; // Unique identifier for the revision
   #rev = 0; // Revision number
   hint; // Hint for the current state
@@ -31,21 +62,7 @@ export class Revision {
   }
 
   #schedule(fn) {
-    this.#queue.add(fn); // Add function to the queue
-
-    // If not currently flushing, initiate the flush process
-    if (!this.#isFlushing) {
-      this.#isFlushing = true; // Set flushing flag
-      queueMicrotask(this.#flush.bind(this)); // Schedule flush
-    }
-  }
-
-  #flush() {
-    for (const fn of this.#queue) {
-      fn.bind(this)(); // Execute each function in the queue
-    }
-    this.#queue.clear(); // Clear the queue after execution
-    this.#isFlushing = false; // Reset flushing flag
+    this.#scheduler.schedule(fn, this); // Run fn in the next microtask, bound to this revision
   }
 
   get value() {
@@ -57,12 +74,10 @@ export class Revision {
     this.#uuid = generateId(); // Generate a new unique ID
     this.hint = this.value; // Update hint with current value
     this.notify(); // Notify all subscribers of the change
-    console.log('RAN!', this.hint)
   }
 
   inc() {
-    this.#schedule(this.#inc); // Schedule increment operation
-    console.log(...this.#queue); // Log current queue for debugging
+    this.#schedule(this.#inc); // Schedule increment operation, increments requested in the same tick count once
   }
 
   subscribe(subscriber) {
@@ -0,0 +1,464 @@
+// Event based XML parser, nothing is kept but the names of the open elements.
+// XMLParser builds its trees from these events, large inputs can be processed without building one.
+//
+//   const sax = new SAXParser({
+//     onOpenTag(name, attributes, { selfClosing, location }) {},
+//     onAttribute(attribute, { raw, quote }) {},     before the onOpenTag of its element, attribute is {name, value}
+//     onText(text, { raw, location }) {},            text with entities decoded, raw as written
+//     onComment(content, { location }) {},
+//     onCData(content, { location }) {},
+//     onProcessingInstruction(target, data, { raw, location }) {},
+//     onDoctype(content, { raw, location }) {},
+//     onCloseTag(name, { location, implied }) {},    self-closing and void elements close right away, implied when the markup did not close it
+//   });
+//   sax.parse(xml);
+//
+// Or fed piece by piece, chunks (strings or UTF-8 bytes) may end anywhere, even in the middle of a tag or a comment:
+//   sax.write(chunk); sax.write(chunk); sax.end();
+//   await sax.parseStream(response.body); // WHATWG ReadableStream, a Node stream or any async iterable of chunks
+//
+// Every handler is optional. Leading whitespace of text is skipped and whitespace-only text is not reported,
+// unless preserveWhitespace is on: then text inside elements is reported exactly as written (templates need the space in `${a} ${b}`),
+// only whitespace-only text outside of them (around the root element) is left out.
+
+import { Source, StreamSource } from './location.js';
+import { XML_ENTITIES, HTML_ENTITIES, decodeEntities } from './entities.js';
+
+// Parser errors: code, location ({start, end, line, column} in the source) and the token that was expected.
+// The message ends with a code frame of the source.
+//   MISMATCHED_TAG        closing tag does not match the open element, or nothing is open
+//   UNCLOSED_ELEMENT      element without a closing tag
+//   EXPECTED_GT           tag does not end with '>'
+//   EXPECTED_NAME         processing instruction without a target
+//   UNTERMINATED_COMMENT, UNTERMINATED_CDATA, UNTERMINATED_PI, UNTERMINATED_DOCTYPE
+export class XMLParseError extends Error {
+  constructor(code, message, { location, expected = null, frame = '' } = {}) {
+    super(location ? `${message} (line ${location.line}, column ${location.column})${frame ? '\n' + frame : ''}` : message);
+    this.name = 'XMLParseError';
+    this.code = code;
+    this.location = location;
+    this.expected = expected;
+  }
+}
+
+const IDENTIFIER = /[a-zA-Z0-9\-_:.@]*/y; // letters, numbers, hyphens, underscores, colons, dots and @
+const WHITESPACE = /\s*/y;
+const UNQUOTED = /[^\s>\/]*/y;
+
+export class SAXParser {
+  // HTML void elements that don't have closing tags
+  static voidTags = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
+    'link', 'meta', 'param', 'source', 'track', 'wbr'
+  ]);
+
+  // htmlEntities: decode the HTML named character references (&nbsp; &hellip; ...) as well as the XML ones
+  // strict: every element has to be closed and every closing tag has to match, all offenders are reported in one XMLParseError.
+  //   strict: false is for hand-written HTML fragments, unclosed elements are closed and stray closing tags dropped without a word
+  // recover: do not throw, close or skip bad markup the way HTML parsers do, parse() returns the diagnostics
+  // preserveWhitespace: report the text inside elements as written, formatting whitespace between tags included
+  constructor(handlers = {}, { htmlEntities = false, strict = true, recover = false, preserveWhitespace = false, voidTags = SAXParser.voidTags } = {}) {
+    this.handlers = handlers;
+    this.voidTags = voidTags;
+    this.entities = htmlEntities ? { ...HTML_ENTITIES, ...XML_ENTITIES } : XML_ENTITIES;
+    this.strict = strict;
+    this.recover = recover;
+    this.preserveWhitespace = preserveWhitespace;
+  }
+
+  // source maps parser offsets to locations, a TemplateSource points back into a tagged template.
+  // Returns the list of XMLParseErrors that were repaired (recover), throws them otherwise.
+  parse(xml, source = new Source(xml)) {
+    this.begin(source);
+    this.offset = xml.length - xml.trimStart().length; // locations are in the untrimmed text
+    this.xml = xml.trim();
+    this.length = this.xml.length;
+    return this.end();
+  }
+
+  // Parse the next chunk, everything up to the last complete token is reported, the rest waits for more input
+  write(chunk) {
+    if (!this.source) this.begin(new StreamSource());
+    const text = typeof chunk === 'string' ? chunk : (this.decoder ??= new TextDecoder()).decode(chunk, { stream: true });
+    this.source.append?.(text);
+    this.xml += text;
+    this.length = this.xml.length;
+    this.run();
+
+    // drop what was parsed, offsets stay relative to the whole input
+    this.offset += this.pos;
+    this.source.release?.(this.offset);
+    this.xml = this.xml.slice(this.pos);
+    this.length = this.xml.length;
+    this.pos = 0;
+  }
+
+  // The input is complete: parse what is left and close what is still open.
+  // Returns the diagnostics like parse(), the parser can be used for another input afterwards.
+  end(chunk) {
+    if (chunk !== undefined) this.write(chunk);
+    if (!this.source) this.begin(new StreamSource());
+    const rest = this.decoder?.decode() ?? '';
+    this.source.append?.(rest);
+    this.xml += rest;
+    this.length = this.xml.length;
+    this.ended = true;
+    this.run();
+    const diagnostics = this.finish();
+    this.source = null;
+    this.decoder = null;
+    return diagnostics;
+  }
+
+  // Feed a WHATWG ReadableStream, a Node stream or any (async) iterable of chunks, resolves with end()
+  async parseStream(stream) {
+    if (stream.getReader) {
+      const reader = stream.getReader();
+      try {
+        for (let read = await reader.read(); !read.done; read = await reader.read()) this.write(read.value);
+      } finally {
+        reader.releaseLock();
+      }
+    } else {
+      for await (const chunk of stream) this.write(chunk);
+    }
+    return this.end();
+  }
+
+  begin(source) {
+    this.source = source;
+    this.offset = 0; // offset of this.xml in the whole input
+    this.xml = '';
+    this.pos = 0;
+    this.length = 0;
+    this.ended = false;
+    this.open = []; // {name, location} of the elements being parsed, outermost first, location of the opening tag
+    this.diagnostics = [];
+  }
+
+  run() {
+    while (this.pos < this.length) {
+      if (!this.preserveWhitespace) this.skipWhitespace();
+      if (this.pos >= this.length || !this.complete()) break;
+      this.parseNext();
+    }
+  }
+
+  finish() {
+    // end of input
+    while (this.open.length) {
+      const { name, location } = this.open.at(-1);
+      this.unbalanced('UNCLOSED_ELEMENT', `Unclosed element <${name}>`, { location, expected: `</${name}>` });
+      this.close({ implied: true });
+    }
+
+    if (this.diagnostics.length && !this.recover) {
+      const [first] = this.diagnostics;
+      const error = this.diagnostics.length === 1 ? first : new XMLParseError(first.code, this.diagnostics.map(({ message }) => message).join('\n\n'), { expected: first.expected });
+      error.location = first.location;
+      error.diagnostics = this.diagnostics;
+      throw error;
+    }
+
+    return this.diagnostics;
+  }
+
+  // Whether the token at the current position is all in the buffer. A chunk may end anywhere,
+  // so text needs the '<' after it, a tag its '>' (outside quotes), a comment its '-->' and so on.
+  complete() {
+    if (this.ended) return true;
+    const { xml, pos } = this;
+    if (xml[pos] !== '<') return xml.indexOf('<', pos) !== -1;
+
+    const head = xml.substr(pos, 9).toUpperCase();
+    if (head.length < 9 && ['<!--', '<![CDATA[', '<!DOCTYPE'].some(start => head.length < start.length && start.startsWith(head))) return false; // could still become one of these
+    if (head.startsWith('<!--')) return xml.indexOf('-->', pos + 4) !== -1;
+    if (head.startsWith('<![CDATA[')) return xml.indexOf(']]>', pos + 9) !== -1;
+    if (head === '<!DOCTYPE') return this.doctypeEnd(pos + 9) !== -1;
+    if (head.startsWith('<?')) return xml.indexOf('?>', pos + 2) !== -1;
+    if (head.startsWith('</') || head.startsWith('<!')) return xml.indexOf('>', pos) !== -1;
+    return this.tagEnd(pos + 1) !== -1;
+  }
+
+  // index of the '>' that ends the opening tag, quoted attribute values may contain '>'
+  tagEnd(from) {
+    let quote = null;
+    for (let index = from; index < this.length; index++) {
+      const char = this.xml[index];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '>') {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  // index of the '>' that ends a doctype, the internal subset [...] and quoted ids may contain '>'
+  doctypeEnd(from) {
+    let quote = null;
+    let depth = 0;
+    for (let index = from; index < this.length; index++) {
+      const char = this.xml[index];
+      if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === '[') {
+        depth++;
+      } else if (char === ']') {
+        depth--;
+      } else if (char === '>' && depth <= 0) {
+        return index;
+      }
+    }
+    return -1;
+  }
+
+  emit(type, ...args) {
+    this.handlers[type]?.(...args);
+  }
+
+  parseNext() {
+    if (this.peek() !== '<') return this.parseText();
+
+    if (this.peek(1) === '!') {
+      if (this.peek(2) === '-' && this.peek(3) === '-') return this.parseComment();
+      if (this.xml.startsWith('[CDATA[', this.pos + 2)) return this.parseCData();
+      if (this.xml.substr(this.pos + 2, 7).toUpperCase() === 'DOCTYPE') return this.parseDoctype();
+      // Skip other declarations (<!ELEMENT, <!ENTITY outside a doctype)
+      this.skipUntil('>');
+      this.advance();
+      return;
+    }
+    if (this.peek(1) === '?') return this.parseProcessingInstruction();
+    if (this.peek(1) === '/') return this.parseClosingTag();
+    this.parseOpeningTag();
+  }
+
+  // {start, end, line, column} of the parser range start..end
+  location(start, end = this.pos) {
+    return this.source.locate(start + this.offset, end + this.offset);
+  }
+
+  // Throws an XMLParseError, or records it when recovering so the caller can repair the markup and go on
+  fail(code, message, options) {
+    const error = this.error(code, message, options);
+    if (!this.recover) throw error;
+    this.diagnostics.push(error);
+    return error;
+  }
+
+  // Unclosed elements and stray closing tags are always repaired, parsing goes on so that all of them are found.
+  // parse() throws them together at the end when strict, they are dropped when not.
+  unbalanced(code, message, options) {
+    if (this.strict || this.recover) this.diagnostics.push(this.error(code, message, options));
+  }
+
+  error(code, message, { position = this.pos, location = this.location(position, position), expected = null } = {}) {
+    return new XMLParseError(code, message, { location, expected, frame: this.source.frame(location) });
+  }
+
+  parseOpeningTag() {
+    const start = this.pos;
+    this.advance(); // Skip '<'
+
+    // a '<' that does not start a tag is dropped
+    const name = this.parseIdentifier();
+    if (!name) return;
+
+    const attributes = this.parseAttributes();
+    this.skipWhitespace();
+
+    const isVoid = this.voidTags.has(name.toLowerCase());
+    let selfClosing = false;
+    if (this.peek() === '/') {
+      this.advance();
+      selfClosing = true;
+    }
+
+    if (this.peek() === '>') {
+      this.advance(); // Skip '>'
+    } else {
+      this.fail('EXPECTED_GT', `Expected '>' to end <${name}>`, { expected: '>' }); // recovering: the tag ends here
+    }
+
+    const location = this.location(start);
+    this.emit('onOpenTag', name, attributes, { selfClosing: isVoid || selfClosing, location });
+    this.open.push({ name, location: { ...location, end: location.start } }); // streamed text may be released before the element is closed
+    if (isVoid || selfClosing) this.close({ location });
+  }
+
+  parseClosingTag() {
+    const start = this.pos;
+    this.advance(2); // Skip '</'
+    const name = this.parseIdentifier();
+    this.skipWhitespace();
+    if (this.peek() === '>') {
+      this.advance(); // Skip '>'
+    } else {
+      this.fail('EXPECTED_GT', `Expected '>' to end </${name}>`, { expected: '>' }); // recovering: the tag ends here
+    }
+
+    const index = this.open.findLastIndex(element => element.name === name);
+    if (index === -1) {
+      // any other closing tag is dropped
+      const current = this.open.at(-1);
+      if (current) this.unbalanced('MISMATCHED_TAG', `Mismatched closing tag: expected </${current.name}>, got </${name}>`, { position: start, expected: `</${current.name}>` });
+      else this.unbalanced('MISMATCHED_TAG', `Unexpected closing tag </${name}>`, { position: start });
+      return;
+    }
+
+    // a closing tag of an ancestor closes the elements in between as well
+    while (this.open.length - 1 > index) {
+      const { name: unclosed, location } = this.open.at(-1);
+      this.unbalanced('UNCLOSED_ELEMENT', `Unclosed element <${unclosed}>, closed by </${name}>`, { location, expected: `</${unclosed}>` });
+      this.close({ location: this.location(start, start), implied: true });
+    }
+    this.close({ location: this.location(start) });
+  }
+
+  close({ location = this.location(this.pos, this.pos), implied = false } = {}) {
+    const { name } = this.open.pop();
+    this.emit('onCloseTag', name, { location, implied });
+  }
+
+  parseAttributes() {
+    const attributes = [];
+
+    while (this.pos < this.length) {
+      this.skipWhitespace();
+      if (this.peek() === '>' || this.peek() === '/') break;
+
+      // a leading ? is allowed for boolean bindings (?disabled="${flag}")
+      const prefix = this.peek() === '?' ? '?' : '';
+      if (prefix) this.advance();
+      const name = prefix + this.parseIdentifier();
+      if (name === prefix) break;
+
+      this.skipWhitespace();
+      const attribute = { name, value: '' };
+      let raw = null;
+      let quote = null;
+
+      if (this.peek() === '=') {
+        this.advance(); // Skip '='
+        this.skipWhitespace();
+        quote = this.peek() === '"' || this.peek() === "'" ? this.peek() : '"';
+        raw = this.parseAttributeValue();
+        attribute.value = decodeEntities(raw, this.entities);
+      }
+
+      this.emit('onAttribute', attribute, { raw, quote });
+      attributes.push(attribute);
+    }
+
+    return attributes;
+  }
+
+  parseAttributeValue() {
+    const quote = this.peek();
+    if (quote === '"' || quote === "'") {
+      this.advance(); // Skip opening quote
+      let end = this.xml.indexOf(quote, this.pos);
+      if (end === -1) end = this.length;
+      const value = this.xml.slice(this.pos, end);
+      this.pos = Math.min(end + 1, this.length); // Skip closing quote
+      return value;
+    }
+    // Unquoted value
+    return this.match(UNQUOTED);
+  }
+
+  parseComment() {
+    const start = this.pos;
+    const end = this.xml.indexOf('-->', start + 4);
+    let content;
+    if (end === -1) {
+      this.fail('UNTERMINATED_COMMENT', 'Unterminated comment', { position: start, expected: '-->' });
+      content = this.xml.slice(start + 4); // recovering: the comment runs to the end of the input
+      this.pos = this.length;
+    } else {
+      content = this.xml.slice(start + 4, end); // between '<!--' and '-->'
+      this.pos = end + 3;
+    }
+    this.emit('onComment', content, { location: this.location(start) });
+  }
+
+  parseCData() {
+    const start = this.pos;
+    let end = this.xml.indexOf(']]>', start + 9);
+    if (end === -1) {
+      this.fail('UNTERMINATED_CDATA', 'Unterminated CDATA section', { position: start, expected: ']]>' });
+      end = this.length; // recovering: the section runs to the end of the input
+    }
+    this.pos = Math.min(end + 3, this.length);
+    this.emit('onCData', this.xml.slice(start + 9, end), { location: this.location(start) }); // between '<![CDATA[' and ']]>'
+  }
+
+  parseProcessingInstruction() {
+    const start = this.pos;
+    this.advance(2); // Skip '<?'
+    const target = this.parseIdentifier();
+    if (!target) this.fail('EXPECTED_NAME', 'Expected processing instruction target', { expected: 'name' });
+    let end = this.xml.indexOf('?>', this.pos);
+    if (end === -1) {
+      this.fail('UNTERMINATED_PI', 'Unterminated processing instruction', { position: start, expected: '?>' });
+      end = this.length; // recovering: the instruction runs to the end of the input
+    }
+    const data = this.xml.slice(this.pos, end).trim();
+    this.pos = Math.min(end + 2, this.length);
+    this.emit('onProcessingInstruction', target, data, { raw: this.xml.slice(start, this.pos), location: this.location(start) });
+  }
+
+  parseDoctype() {
+    const start = this.pos;
+    const end = this.doctypeEnd(start + 9); // after '<!DOCTYPE'
+    this.pos = end === -1 ? this.length : end;
+    if (this.peek() !== '>') this.fail('UNTERMINATED_DOCTYPE', 'Unterminated doctype', { position: start, expected: '>' });
+    const content = this.xml.slice(start + 9, this.pos).trim();
+    this.pos = Math.min(this.pos + 1, this.length); // Skip '>'
+    this.emit('onDoctype', content, { raw: this.xml.slice(start, this.pos), location: this.location(start) });
+  }
+
+  parseText() {
+    const start = this.pos;
+    let end = this.xml.indexOf('<', start);
+    if (end === -1) end = this.length;
+    const raw = this.xml.slice(start, end);
+    this.pos = end;
+    if (!raw.trim() && !(this.preserveWhitespace && this.open.length)) return; // formatting around the root element
+    this.emit('onText', decodeEntities(raw, this.entities), { raw, location: this.location(start) });
+  }
+
+  parseIdentifier() {
+    return this.match(IDENTIFIER);
+  }
+
+  // text matched by a sticky pattern at the current position, the position moves past it
+  match(pattern) {
+    pattern.lastIndex = this.pos;
+    const [text] = pattern.exec(this.xml);
+    this.pos += text.length;
+    return text;
+  }
+
+  peek(offset = 0) {
+    return this.xml[this.pos + offset] || '';
+  }
+
+  advance(count = 1) {
+    this.pos += count;
+  }
+
+  skipWhitespace() {
+    this.match(WHITESPACE);
+  }
+
+  skipUntil(char) {
+    const index = this.xml.indexOf(char, this.pos);
+    this.pos = index === -1 ? this.length : index;
+  }
+}
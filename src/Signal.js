@@ -1,17 +1,122 @@
+import { Scheduler } from "./Revision.js";
+
 export function generateId() {
   const randomChars = (length = 8) => Array.from({ length }, () => String.fromCharCode(97 + Math.floor(Math.random() * 26))).join("");
   return `${randomChars()}-${randomChars(4)}-${randomChars(4)}-${randomChars(4)}-${randomChars(12)}`;
 }
 
+function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.hasOwn(b, key) && Object.is(a[key], b[key]));
+}
+
+function deepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every((key) => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+}
+
+// equality strategies for the value setter, pick one with new Signal(value, {equals: 'deep'}) or pass a function
+export const EQUALS = {
+  strict: Object.is,
+  shallow: shallowEqual,
+  deep: deepEqual,
+};
+
+// Set of signals read by the computation that is currently running, null when nothing is tracking
+let tracking = null;
+
+// register a read with the running computation (used by anything that exposes a readable value)
+export function track(source) {
+  if (tracking) tracking.add(source);
+}
+
+// Batching: while a batch is open notifications are parked here and delivered once, with the final value
+const scheduler = new Scheduler();
+const pending = new Set();
+let batchDepth = 0;
+
+function flushPending() {
+  if (batchDepth > 0) return; // a new batch was opened in the meantime, it will schedule its own flush
+  try {
+    for (const source of pending) {
+      pending.delete(source);
+      source.notify(true); // dependents were invalidated when the change happened
+    }
+  } finally {
+    if (pending.size) scheduler.schedule(flushPending); // a subscriber threw, the others still hear about it
+  }
+}
+
+// Postpone notification of a source until the outermost batch is done, returns false when no batch is open
+export function defer(source) {
+  if (batchDepth === 0) return false;
+  pending.add(source);
+  return true;
+}
+
+// Computed signals that read a source, they are marked dirty as soon as the source changes, even inside a batch
+const dependents = new WeakMap(); // source -> Set of invalidate functions
+
+// call fn whenever source changes, returns a function that stops it
+export function dependOn(source, fn) {
+  if (!dependents.has(source)) dependents.set(source, new Set());
+  dependents.get(source).add(fn);
+  return () => dependents.get(source)?.delete(fn);
+}
+
+// Observed computeds that went stale, they recompute once the whole dependent graph is marked,
+// so nobody sees a value computed from one updated and one outdated dependency
+const stale = new Set();
+let invalidating = 0;
+
+// mark everything that depends on source as stale, sources call this before they notify (or defer) their subscribers
+export function invalidate(source) {
+  const fns = dependents.get(source);
+  if (!fns) return;
+  invalidating++;
+  try {
+    for (const fn of [...fns]) fn();
+  } finally {
+    invalidating--;
+  }
+  if (invalidating > 0) return;
+  for (const refresh of stale) {
+    stale.delete(refresh);
+    refresh();
+  }
+}
+
+// batch(() => { a.value = 1; b.value = 2; }) subscribers of a and b hear about it once, in the next microtask
+export function batch(fn) {
+  batchDepth++;
+  try {
+    return fn();
+  } finally {
+    batchDepth--;
+    if (batchDepth === 0 && pending.size) scheduler.schedule(flushPending);
+  }
+}
+
 export class Signal {
   #id;
   #value;
   v;
   #subscribers;
   #disposables;
+  #equals;
 
-  constructor(value, {id, label}={label:'unlabeled'}) {
+  constructor(value, {id, label, equals = "strict"}={label:'unlabeled'}) {
     this.#id = id??generateId();
+    this.#equals = typeof equals === "function" ? equals : EQUALS[equals];
+    if (!this.#equals) throw new TypeError(`Unknown equality "${equals}", use one of ${Object.keys(EQUALS).join(", ")} or a function`);
     this.#value = value;
     this.v = value;
     this.#subscribers = new Set();
@@ -20,22 +125,39 @@ export class Signal {
   }
   get id(){ return this.#id}
   get value() {
+    track(this); // IMPORTANT FEATURE: reading a value inside computed() makes it a dependency
     return this.#value;
   }
 
   set value(newValue) {
-    if (newValue == this.#value) return console.info('Same value'); // IMPORTANT FEATURE: if value is the same, exit early, don't disturb if you don't need to
+    if (this.#equals(this.#value, newValue)) return; // IMPORTANT FEATURE: if value is the same, exit early, don't disturb if you don't need to
     this.#value = newValue;
+    this.v = newValue;
     this.notify(); // all observers
   }
 
+  // replace the value with fn(value) and notify even if equals() considers it unchanged
+  update(fn) {
+    this.#value = fn(this.#value);
+    this.v = this.#value;
+    this.notify();
+  }
+
+  // change the value in place (objects, arrays), mutations can't be detected so this always notifies
+  mutate(fn) {
+    fn(this.#value);
+    this.notify();
+  }
+
   subscribe(subscriber) {
     if (this.#value != null) subscriber(this.#value); // IMPORTANT FEATURE: instant notification (initialization on subscribe), but don't notify on null/undefined, predicate functions will look simpler, less error prone
     this.#subscribers.add(subscriber);
     return () => this.#subscribers.delete(subscriber); // IMPORTANT FEATURE: return unsubscribe function, execute this to stop getting notifications.
   }
 
-  notify() {
+  notify(invalidated = false) {
+    if (!invalidated) invalidate(this); // IMPORTANT FEATURE: computed values are never stale, not even inside batch()
+    if (defer(this)) return; // IMPORTANT FEATURE: inside batch() subscribers are notified later, once
     for (const subscriber of this.#subscribers) subscriber(this.#value);
   }
 
@@ -44,7 +166,6 @@ export class Signal {
     this.#subscribers.clear(); // destroy subscribers
     this.#disposables.forEach((disposable) => disposable());
     this.#disposables.clear(); // execute and clear disposables
-    graph.remove(this.#id);
   }
 
   // add related trash that makes sense to clean when the signal is shutdown
@@ -52,6 +173,11 @@ export class Signal {
     [input].flat(Infinity).forEach((disposable) => this.#disposables.add(disposable));
   }
 
+  // Derive a read-only signal from an explicit list of signals: Signal.derive([a, b], (a, b) => a * b)
+  static derive(signals, fn) {
+    return new Computed(() => fn(...signals.map((signal) => signal.value)));
+  }
+
   [Symbol.toPrimitive](hint) {
     if (hint === "string") {
       return this.#id;
@@ -61,3 +187,94 @@ export class Signal {
     return this.#id; // default case
   }
 }
+
+// Read-only signal whose value is computed from other signals.
+// Dependencies are discovered while fn runs, the value is only recomputed when read after an upstream change,
+// or right away when somebody is subscribed; upstream subscriptions are released by clear().
+export class Computed extends Signal {
+  #fn;
+  #dirty = true;
+  #observers = 0;
+  #dependencies = new Map(); // signal -> stop depending on it
+
+  constructor(fn, options) {
+    super(undefined, options);
+    this.#fn = fn;
+    this.collect(() => {
+      this.#dependencies.forEach((unsubscribe) => unsubscribe());
+      this.#dependencies.clear();
+    });
+  }
+
+  get value() {
+    if (this.#dirty) this.#recompute();
+    return super.value;
+  }
+
+  set value(newValue) {
+    throw new TypeError("Computed signals are read-only");
+  }
+
+  update(fn) {
+    throw new TypeError("Computed signals are read-only");
+  }
+
+  mutate(fn) {
+    throw new TypeError("Computed signals are read-only");
+  }
+
+  subscribe(subscriber) {
+    if (this.#dirty) this.#recompute();
+    this.#observers++;
+    const unsubscribe = super.subscribe(subscriber);
+    let subscribed = true;
+    return () => {
+      if (subscribed) this.#observers--;
+      subscribed = false;
+      return unsubscribe();
+    };
+  }
+
+  #invalidate() {
+    if (this.#dirty) return;
+    this.#dirty = true;
+    if (this.#observers > 0) stale.add(this.#refresh); // IMPORTANT FEATURE: lazy unless observed, observed computations push their new value out
+    invalidate(this); // whatever reads us is stale too
+  }
+
+  // recompute unless a computed that depends on us already pulled the new value
+  #refresh = () => {
+    if (this.#dirty) this.#recompute();
+  };
+
+  #recompute() {
+    const previous = tracking;
+    const dependencies = new Set();
+    tracking = dependencies;
+    let newValue;
+    try {
+      newValue = this.#fn();
+    } finally {
+      tracking = previous;
+    }
+    this.#dirty = false;
+
+    // drop signals that were not read this time
+    for (const [signal, unsubscribe] of this.#dependencies) {
+      if (dependencies.has(signal)) continue;
+      unsubscribe();
+      this.#dependencies.delete(signal);
+    }
+    // and start depending on the new ones
+    for (const signal of dependencies) {
+      if (signal === this || this.#dependencies.has(signal)) continue;
+      this.#dependencies.set(signal, dependOn(signal, () => this.#invalidate()));
+    }
+
+    super.value = newValue;
+  }
+}
+
+export function computed(fn, options) {
+  return new Computed(fn, options);
+}
@@ -0,0 +1,132 @@
+import { generateId, track, defer, invalidate } from "./Signal.js";
+
+// Reactive array, subscribers receive the items and a list of splice records: {index, removed, added}
+// Applying the records in order to a copy of the previous items gives the current items.
+export class SignalArray {
+  #id;
+  #items;
+  #changes = []; // records waiting to be delivered (more than one when mutated inside batch())
+  #subscribers;
+  #disposables;
+
+  constructor(items = [], {id}={}) {
+    this.#id = id??generateId();
+    this.#items = [...items];
+    this.#subscribers = new Set();
+    this.#disposables = new Set();
+  }
+
+  get id(){ return this.#id}
+
+  // a copy, changing it does not change the array (use the mutators for that)
+  get value() {
+    track(this);
+    return [...this.#items];
+  }
+
+  set value(items) {
+    this.splice(0, this.#items.length, ...items);
+  }
+
+  get length() {
+    track(this);
+    return this.#items.length;
+  }
+
+  at(index) {
+    track(this);
+    return this.#items.at(index);
+  }
+
+  [Symbol.iterator]() {
+    track(this);
+    return this.#items[Symbol.iterator]();
+  }
+
+  push(...items) {
+    this.splice(this.#items.length, 0, ...items);
+    return this.#items.length;
+  }
+
+  pop() {
+    if (!this.#items.length) return undefined;
+    return this.splice(this.#items.length - 1, 1)[0];
+  }
+
+  shift() {
+    if (!this.#items.length) return undefined;
+    return this.splice(0, 1)[0];
+  }
+
+  unshift(...items) {
+    this.splice(0, 0, ...items);
+    return this.#items.length;
+  }
+
+  set(index, item) {
+    this.splice(index, 1, item);
+  }
+
+  splice(start, deleteCount = this.#items.length - start, ...added) {
+    const index = start < 0 ? Math.max(this.#items.length + start, 0) : Math.min(start, this.#items.length);
+    const removed = this.#items.splice(index, deleteCount, ...added);
+    if (removed.length || added.length) this.#record(index, removed, added);
+    return removed;
+  }
+
+  sort(compareFn) {
+    return this.#reorder(() => this.#items.sort(compareFn));
+  }
+
+  reverse() {
+    return this.#reorder(() => this.#items.reverse());
+  }
+
+  subscribe(subscriber) {
+    subscriber([...this.#items], [{ index: 0, removed: [], added: [...this.#items] }]); // IMPORTANT FEATURE: instant notification, the initial record adds everything
+    this.#subscribers.add(subscriber);
+    return () => this.#subscribers.delete(subscriber);
+  }
+
+  notify(invalidated = false) {
+    if (!invalidated) invalidate(this);
+    if (defer(this)) return;
+    const changes = this.#changes.splice(0);
+    if (!changes.length) return;
+    const items = [...this.#items];
+    for (const subscriber of this.#subscribers) subscriber(items, changes);
+  }
+
+  clear() {
+    // shutdown procedure
+    this.#subscribers.clear();
+    this.#disposables.forEach((disposable) => disposable());
+    this.#disposables.clear();
+  }
+
+  collect(...input) {
+    [input].flat(Infinity).forEach((disposable) => this.#disposables.add(disposable));
+  }
+
+  // sort and reverse are reported as one splice over the range that actually moved
+  #reorder(fn) {
+    const before = [...this.#items];
+    fn();
+    let first = 0;
+    let last = before.length - 1;
+    while (first <= last && before[first] === this.#items[first]) first++;
+    while (last >= first && before[last] === this.#items[last]) last--;
+    if (first <= last) this.#record(first, before.slice(first, last + 1), this.#items.slice(first, last + 1));
+    return this;
+  }
+
+  #record(index, removed, added) {
+    this.#changes.push({ index, removed, added });
+    this.notify();
+  }
+
+  [Symbol.toPrimitive](hint) {
+    if (hint === "number") return 0;
+    return this.#id;
+  }
+}
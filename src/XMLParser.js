@@ -3,48 +3,206 @@
 
 import {Revision} from './Revision.js';
 import {query} from './query.js';
+import {observe} from './observe.js';
+import {SAXParser, XMLParseError} from './SAXParser.js';
+import {escapeText, escapeAttribute} from './entities.js';
 
 
 
 class BaseNode {
+  #listeners = new Map(); // event type -> Map of listener -> {subtree}
+
+  // Listen for mutation events (childAdded, childRemoved, childMoved, attributeChanged, characterDataChanged) on this node,
+  // or on this node and all of its descendants with {subtree: true}. Returns a function that detaches the listener.
+  on(type, listener, { subtree = false } = {}) {
+    if (!this.#listeners.has(type)) this.#listeners.set(type, new Map());
+    this.#listeners.get(type).set(listener, { subtree });
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    const listeners = this.#listeners.get(type);
+    if (!listeners) return;
+    listeners.delete(listener);
+    if (!listeners.size) this.#listeners.delete(type);
+  }
+
+  // Deliver an event to this node and then to the subtree listeners of every ancestor
+  emit(type, detail = {}) {
+    const event = { type, target: this, ...detail };
+    let node = this;
+    while (node) {
+      const listeners = node.#listeners.get(type);
+      if (listeners) {
+        for (const [listener, { subtree }] of listeners) {
+          if (node === this || subtree) listener(event);
+        }
+      }
+      node = node.parent;
+    }
+    return event;
+  }
+
+  // MutationObserver style: records are batched and delivered once per microtask, see observe.js
+  observe(options, callback) {
+    return observe(this, options, callback);
+  }
 
   remove(){
-    // insert nodes in this.parent after this one
-    const myIndex = this.parent.children.indexOf(this);
-    this.parent.children.splice(myIndex, 1);
+    // remove this node from this.parent
+    if (this.parent) this.parent.removeChild(this);
   }
 
   after(...nodes){
     // insert nodes in this.parent after this one
-    const myIndex = this.parent.children.indexOf(this);
-    this.parent.children.splice(myIndex, 0, ...nodes);
+    const parent = this.parent;
+    const reference = parent.children[parent.children.indexOf(this) + 1] ?? null;
+    for (const node of nodes) parent.insertBefore(node, reference);
   }
 
 }
 
-class TextNode extends BaseNode {
+// Text and comments, writing to .content emits characterDataChanged
+class CharacterDataNode extends BaseNode {
+  #content;
+
   constructor(content) {
     super()
-    this.content = content;
+    this.#content = content;
     this.parent = null;
   }
 
+  get content() {
+    return this.#content;
+  }
+
+  clone() {
+    const node = new this.constructor(this.#content);
+    if (this.location) node.location = this.location;
+    return node;
+  }
+
+  set content(content) {
+    const oldValue = this.#content;
+    if (oldValue === content) return;
+    this.#content = content;
+    this.emit('characterDataChanged', { oldValue, value: content });
+  }
+
+  // the content is private (writes go through the setter), JSON and util.inspect() still show it
+  toJSON() {
+    return { content: this.#content, ...this };
+  }
+
+  [Symbol.for('nodejs.util.inspect.custom')]() {
+    return Object.assign(new (inspectView(this.constructor.name))(), this.toJSON());
+  }
+
 }
 
-class CommentNode extends BaseNode {
-  constructor(content) {
-    super()
-    this.content = content;
-    this.parent = null;
+// plain objects named like the node class, util.inspect() prints TextNode { content: 'Hello', parent: [Circular *1] }
+const inspectViews = new Map();
+function inspectView(name) {
+  if (!inspectViews.has(name)) inspectViews.set(name, { [name]: class {} }[name]);
+  return inspectViews.get(name);
+}
+
+// toXML() of the character data nodes returns their markup without indentation.
+// Nodes that came from the parser write back exactly what was parsed while their content is unchanged.
+class TextNode extends CharacterDataNode {
+  toXML() {
+    return fromSource(this) ?? escapeText(this.content);
+  }
+}
+
+class CommentNode extends CharacterDataNode {
+  toXML() {
+    return `<!--${this.content}-->`;
+  }
+}
+
+// <![CDATA[ a > b ]]>, content is taken literally, no entities
+class CDataNode extends CharacterDataNode {
+  toXML() {
+    return `<![CDATA[${this.content}]]>`;
+  }
+}
+
+// <?target data?>, content is the data
+class ProcessingInstructionNode extends CharacterDataNode {
+  constructor(target, data = '') {
+    super(data);
+    this.target = target;
   }
 
+  clone() {
+    const node = new ProcessingInstructionNode(this.target, this.content);
+    if (this.location) node.location = this.location;
+    return node;
+  }
+
+  toXML() {
+    return fromSource(this) ?? `<?${this.target}${this.content ? ' ' + this.content : ''}?>`;
+  }
 }
 
-const NODE_TYPES = [ TextNode, CommentNode ];
+// <!DOCTYPE html>, content is everything after the keyword: 'html', 'note SYSTEM "note.dtd"', internal subset included
+class DoctypeNode extends CharacterDataNode {
+  toXML() {
+    return fromSource(this) ?? `<!DOCTYPE ${this.content}>`;
+  }
+}
+
+const NODE_TYPES = [ TextNode, CommentNode, CDataNode, ProcessingInstructionNode, DoctypeNode ];
+
+// Markup a text node or attribute was parsed from, {raw, value, quote}.
+// toXML writes the raw form back (entities as they were written) as long as the value was not changed.
+const sources = new WeakMap();
+
+function fromSource(node) {
+  const source = sources.get(node);
+  return source && source.value === node.content ? source.raw : null;
+}
+
+function attributeXML(attr) {
+  const v = attributeText(attr);
+  if (v === null) return null;
+  const source = sources.get(attr);
+  if (source && source.value === (attr.signal ? attr.signal.value : attr.value)) return `${source.quote}${source.raw}${source.quote}`;
+  const quote = v.includes('"') && !v.includes("'") ? "'" : '"';
+  return `${quote}${escapeAttribute(v, quote)}${quote}`;
+}
+
+const NAMESPACES = {
+  xml: 'http://www.w3.org/XML/1998/namespace',
+  xmlns: 'http://www.w3.org/2000/xmlns/',
+  html: 'http://www.w3.org/1999/xhtml',
+  svg: 'http://www.w3.org/2000/svg',
+  mathml: 'http://www.w3.org/1998/Math/MathML',
+  xlink: 'http://www.w3.org/1999/xlink',
+};
+
+// 'svg:rect' -> ['svg', 'rect'], 'rect' -> [null, 'rect']
+function splitName(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? [null, name] : [name.slice(0, colon), name.slice(colon + 1)];
+}
+
+// Current text of an attribute: plain parsed value, or the value of its signal after interpolation.
+// Returns null for attributes that should not be written (null, undefined, false).
+function attributeText(attr) {
+  const v = attr.signal ? attr.signal.value : attr.value;
+  if (v === null || v === undefined || v === false) return null;
+  if (attr.kind === 'boolean') return v ? '' : null;
+  if (typeof v === 'object' && 'unit' in v) return `${v.value}${v.unit}`; // width="50%" parsed into {value, unit}
+  return String(v);
+}
 
 class ParseNode  extends BaseNode {
 
-  constructor(name, attributes = [], children = [], isVoid = false) {
+  // isVoid: an HTML void element (<br>), never has children and is written without a closing tag
+  // selfClosing: written as <name/> in the source
+  constructor(name, attributes = [], children = [], isVoid = false, selfClosing = false) {
     super();
 
     this.rev = new Revision(1);
@@ -53,11 +211,132 @@ class ParseNode  extends BaseNode {
     this.attributes = attributes; // Array of {name, value} objects to support duplicates
     this.children = children;
     this.isVoid = isVoid;
+    this.selfClosing = selfClosing;
     this.parent = null;
   }
 
 
 
+  // Namespaces are resolved against the xmlns declarations in scope, so a node moved into another tree picks up the new scope.
+  // An unprefixed element without a default namespace in scope has namespaceURI null.
+
+  get prefix() {
+    return splitName(this.name)[0];
+  }
+
+  get localName() {
+    return splitName(this.name)[1];
+  }
+
+  get namespaceURI() {
+    return this.lookupNamespaceURI(this.prefix);
+  }
+
+  // Namespace bound to prefix (null for the default namespace) here or on the closest ancestor that declares it
+  lookupNamespaceURI(prefix = null) {
+    if (prefix === 'xml') return NAMESPACES.xml;
+    if (prefix === 'xmlns') return NAMESPACES.xmlns;
+    const declaration = prefix ? `xmlns:${prefix}` : 'xmlns';
+    for (let node = this; node; node = node.parent) {
+      const attribute = node.attributes?.find(a => a.name === declaration);
+      if (attribute) return (attribute.signal ? attribute.signal.value : attribute.value) || null; // xmlns="" undeclares
+    }
+    return null;
+  }
+
+  // Give an attribute of this node its prefix, localName and namespaceURI, unprefixed attributes are in no namespace.
+  // Like the namespaceURI of the node, the one of the attribute follows the declarations in scope.
+  qualify(attribute) {
+    const [prefix, localName] = splitName(attribute.name);
+    attribute.prefix = prefix;
+    attribute.localName = localName;
+    Object.defineProperty(attribute, 'namespaceURI', {
+      get: () => (attribute.name === 'xmlns' ? NAMESPACES.xmlns : prefix ? this.lookupNamespaceURI(prefix) : null),
+      enumerable: true,
+      configurable: true,
+    });
+    return attribute;
+  }
+
+  // Deep copy without parent, listeners or revision history
+  clone() {
+    const children = this.children.map(child => child.clone());
+    const node = new ParseNode(this.name, [], children, this.isVoid, this.selfClosing);
+    node.attributes = this.attributes.map(attribute => ('namespaceURI' in attribute ? node.qualify({ ...attribute }) : { ...attribute }));
+    for (const child of children) child.parent = node;
+    if (this.location) node.location = this.location; // where it came from in the source, for error messages
+    return node;
+  }
+
+  // Structural mutations, each one bumps this.rev and emits an event that bubbles to subtree listeners
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  // the checks come first, a failed insert leaves the tree as it was and emits nothing
+  insertBefore(node, referenceNode = null) {
+    if (referenceNode && !this.children.includes(referenceNode)) throw new Error(`insertBefore: reference node is not a child of <${this.name}>`);
+    for (let ancestor = this; ancestor; ancestor = ancestor.parent) {
+      if (ancestor === node) throw new Error(`insertBefore: <${node.name}> can not be inserted into itself or one of its descendants`);
+    }
+    if (node === referenceNode) return node;
+    const from = node.parent === this ? this.children.indexOf(node) : -1;
+    if (node.parent && from === -1) node.parent.removeChild(node);
+    if (from !== -1) this.children.splice(from, 1);
+
+    const index = referenceNode ? this.children.indexOf(referenceNode) : this.children.length;
+    this.children.splice(index, 0, node);
+    node.parent = this;
+    this.rev.inc();
+
+    if (from !== -1) {
+      if (from !== index) this.emit('childMoved', { node, from, to: index });
+    } else {
+      this.emit('childAdded', { node, index });
+    }
+    return node;
+  }
+
+  removeChild(node) {
+    const index = this.children.indexOf(node);
+    if (index === -1) throw new Error(`removeChild: node is not a child of <${this.name}>`);
+    this.children.splice(index, 1);
+    this.rev.inc();
+    this.emit('childRemoved', { node, index });
+    node.parent = null; // after emit, so the event still bubbles through the old ancestors
+    return node;
+  }
+
+  // Set an attribute, live (interpolated) attributes keep their signal and receive the new value
+  setAttribute(name, value) {
+    let attribute = this.attributes.find(a => a.name === name);
+    if (!attribute) {
+      attribute = this.qualify({ name, value });
+      this.attributes.push(attribute);
+      this.rev.inc();
+      this.emit('attributeChanged', { name, oldValue: null, value });
+      return;
+    }
+    const oldValue = attribute.signal ? attribute.signal.value : attribute.value;
+    if (oldValue === value) return;
+    if (attribute.signal) {
+      attribute.signal.value = value;
+    } else {
+      attribute.value = value;
+    }
+    this.rev.inc();
+    this.emit('attributeChanged', { name, oldValue, value });
+  }
+
+  removeAttribute(name) {
+    const index = this.attributes.findIndex(a => a.name === name);
+    if (index === -1) return;
+    const [attribute] = this.attributes.splice(index, 1);
+    this.rev.inc();
+    this.emit('attributeChanged', { name, oldValue: attribute.signal ? attribute.signal.value : attribute.value, value: null });
+  }
+
   // Get first attribute value by name
   attr(name) {
     const attr = this.attributes.find(a => a.name === name);
@@ -113,12 +392,25 @@ class ParseNode  extends BaseNode {
     return results;
   }
 
+  // Find all elements by namespace and local name, '*' matches any
+  findAllNS(namespaceURI, localName) {
+    const results = [];
+    this.walk(node => {
+      if (node.name === 'root' && !node.parent) return;
+      if (namespaceURI !== '*' && node.namespaceURI !== namespaceURI) return;
+      if (localName !== '*' && node.localName !== localName) return;
+      results.push(node);
+    });
+    return results;
+  }
+
   findType(type, fn) {
     const results = [];
     this.seek(node => {
 
-      // if ((node instanceof NODE_TYPES[type])) results.push(node);
-      if ((node instanceof NODE_TYPES[type])&&(fn?fn(node):1)) results.push(node);
+      // type is an index into NODE_TYPES or the node class itself
+      const nodeType = typeof type === 'function' ? type : NODE_TYPES[type];
+      if ((node instanceof nodeType)&&(fn?fn(node):1)) results.push(node);
     });
     return results;
   }
@@ -163,9 +455,9 @@ class ParseNode  extends BaseNode {
     // Root node - just render children
     if (this.name === 'root') {
       return this.children.map(child => {
-        if (child.toXML) return child.toXML(indent, indentSize);
-        if (child.content !== undefined) return child.content; // TextNode
-        return '';
+        if (child instanceof ParseNode) return child.toXML(indent, indentSize);
+        if (child instanceof TextNode) return child.toXML();
+        return child.toXML() + '\n'; // comment, CDATA, processing instruction or doctype on a line of its own
       }).join('');
     }
 
@@ -174,16 +466,15 @@ class ParseNode  extends BaseNode {
 
     // Add attributes
     for (const attr of this.attributes.filter(o=>o)) {
-      const v = attr.value.value||'';
-      const value = String(v).includes('"') ? `'${v}'` : `"${v}"`;
+      if (attr.kind === 'event' || attr.kind === 'property') continue; // bindings, not markup
+      const value = attributeXML(attr);
+      if (value === null) continue;
       xml += ` ${attr.name}=${value}`;
     }
 
-    // Handle void/self-closing tags
-    if (this.isVoid || this.children.length === 0) {
-      xml += this.isVoid ? '>' : '/>';
-      return xml + '\n';
-    }
+    // Handle void/self-closing tags, only void elements may go without the slash
+    if (this.isVoid) return xml + '>\n';
+    if (this.children.length === 0) return xml + '/>\n';
 
     xml += '>';
 
@@ -192,7 +483,7 @@ class ParseNode  extends BaseNode {
                        this.children[0].content !== undefined;
 
     if (hasOnlyText) {
-      xml += this.children[0].content;
+      xml += this.children[0].toXML();
       xml += `</${this.name}>`;
       return xml + '\n';
     }
@@ -202,11 +493,11 @@ class ParseNode  extends BaseNode {
 
     // Add children
     for (const child of this.children) {
-      if (child.toXML) {
+      if (child instanceof ParseNode) {
         xml += child.toXML(indent + indentSize, indentSize);
-      } else if (child.content !== undefined) {
-        // TextNode - trim and add if not empty
-        const content = child.content.trim();
+      } else {
+        // TextNode - trim and add if not empty, other character data is written as it is
+        const content = child instanceof TextNode ? child.toXML().trim() : child.toXML();
         if (content) {
           xml += `${' '.repeat(indent + indentSize)}${content}\n`;
         }
@@ -222,239 +513,89 @@ class ParseNode  extends BaseNode {
 
 
 class XMLParser {
-  constructor() {
-    // HTML void elements that don't have closing tags
-    this.voidTags = new Set([
-      'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input',
-      'link', 'meta', 'param', 'source', 'track', 'wbr'
-    ]);
+  static voidTags = SAXParser.voidTags;
+
+  // Options are the ones of SAXParser: htmlEntities, strict, recover and preserveWhitespace.
+  // recover: parse() returns {tree, diagnostics} instead of the tree
+  constructor({ htmlEntities = false, strict = true, recover = false, preserveWhitespace = false } = {}) {
+    this.voidTags = XMLParser.voidTags;
+    this.htmlEntities = htmlEntities;
+    this.strict = strict;
+    this.recover = recover;
+    this.preserveWhitespace = preserveWhitespace;
   }
 
-  parse(xml) {
-    this.xml = xml.trim();
-    this.pos = 0;
-    this.length = this.xml.length;
-
-    const root = new ParseNode('root');
-    this.parseChildren(root);
-
-    // Set parent references
-    this.setParents(root);
-
-    return root;
+  // source maps parser offsets to locations, a TemplateSource points back into a tagged template
+  parse(xml, source) {
+    const { sax, root } = this.builder();
+    const diagnostics = sax.parse(xml, source);
+    return this.recover ? { tree: root, diagnostics } : root;
   }
 
-  setParents(node) {
-    for (const child of node.children) {
-      child.parent = node;
-      if (child.children) this.setParents(child);
-    }
+  // Incremental parsing, chunks (strings or UTF-8 bytes) may end anywhere: write() as they arrive, end() returns the tree
+  write(chunk) {
+    this.building ??= this.builder();
+    this.building.sax.write(chunk);
   }
 
-  parseChildren(parent) {
-    while (this.pos < this.length) {
-      this.skipWhitespace();
-      if (this.pos >= this.length) break;
-
-      if (this.peek() === '<') {
-        if (this.peek(1) === '!') {
-          if (this.peek(2) === '-' && this.peek(3) === '-') {
-            // Comment
-            const comment = this.parseComment();
-            if (comment) parent.children.push(comment);
-          } else {
-            // Skip other declarations (DOCTYPE, etc.)
-            this.skipUntil('>');
-            this.advance();
-          }
-        } else if (this.peek(1) === '/') {
-          // Closing tag - return to parent
-          break;
-        } else {
-          // Opening tag
-          const element = this.parseElement();
-          if (element) parent.children.push(element);
-        }
-      } else {
-        // Text content
-        const text = this.parseText();
-        if (text) parent.children.push(text);
-      }
-    }
+  end(chunk) {
+    this.building ??= this.builder();
+    const { sax, root } = this.building;
+    this.building = null;
+    const diagnostics = sax.end(chunk);
+    return this.recover ? { tree: root, diagnostics } : root;
   }
 
-  parseElement() {
-    if (this.peek() !== '<') return null;
-
-    this.advance(); // Skip '<'
-
-    // Parse tag name
-    const name = this.parseIdentifier();
-    if (!name) return null;
-
-    // Parse attributes
-    const attributes = this.parseAttributes();
-
-    this.skipWhitespace();
-
-    const isVoid = this.voidTags.has(name.toLowerCase());
-    let selfClosing = false;
-
-    // Check for self-closing or closing
-    if (this.peek() === '/') {
-      this.advance();
-      selfClosing = true;
-    }
-
-    if (this.peek() !== '>') {
-      this.dump();
-      throw new Error(`Expected '>' at position ${this.pos}`);
-    }
-    this.advance(); // Skip '>'
-
-    const element = new ParseNode(name, attributes, [], isVoid || selfClosing);
-
-    // Parse children if not void/self-closing
-    if (!isVoid && !selfClosing) {
-      this.parseChildren(element);
-
-      // Parse closing tag
-      this.skipWhitespace();
-      if (this.peek() === '<' && this.peek(1) === '/') {
-        this.advance(2); // Skip '</'
-        const closingName = this.parseIdentifier();
-        if (closingName !== name) {
-          throw new Error(`Mismatched closing tag: expected ${name}, got ${closingName}`);
-        }
-        this.skipWhitespace();
-        if (this.peek() !== '>') {
-          throw new Error(`Expected '>' in closing tag at position ${this.pos}`);
-        }
-        this.advance(); // Skip '>'
-      }
-    }
-
-    return element;
+  // Tree of a WHATWG ReadableStream, a Node stream or any (async) iterable of chunks
+  async parseStream(stream) {
+    const { sax, root } = this.builder();
+    const diagnostics = await sax.parseStream(stream);
+    return this.recover ? { tree: root, diagnostics } : root;
   }
 
-  parseAttributes() {
-    const attributes = [];
-
-    while (this.pos < this.length) {
-      this.skipWhitespace();
-      if (this.peek() === '>' || this.peek() === '/') break;
-
-      const name = this.parseIdentifier();
-      if (!name) break;
-
-      this.skipWhitespace();
-      let value = '';
-
-      if (this.peek() === '=') {
-        this.advance(); // Skip '='
-        this.skipWhitespace();
-        value = this.parseAttributeValue();
-      }
-
-      attributes.push({ name, value });
-    }
-
-    return attributes;
-  }
-
-  parseAttributeValue() {
-    const quote = this.peek();
-    if (quote === '"' || quote === "'") {
-      this.advance(); // Skip opening quote
-      let value = '';
-      while (this.pos < this.length && this.peek() !== quote) {
-        value += this.peek();
-        this.advance();
-      }
-      if (this.peek() === quote) {
-        this.advance(); // Skip closing quote
-      }
-      return value;
-    } else {
-      // Unquoted value
-      let value = '';
-      while (this.pos < this.length && !/[\s>\/]/.test(this.peek())) {
-        value += this.peek();
-        this.advance();
-      }
-      return value;
-    }
-  }
-
-  parseComment() {
-    if (this.peek(0) !== '<' || this.peek(1) !== '!' ||
-        this.peek(2) !== '-' || this.peek(3) !== '-') {
-      return null;
-    }
-
-    this.advance(4); // Skip '<!--'
-    let content = '';
-
-    while (this.pos < this.length - 2) {
-      if (this.peek() === '-' && this.peek(1) === '-' && this.peek(2) === '>') {
-        this.advance(3); // Skip '-->'
-        return new CommentNode(content);
-      }
-      content += this.peek();
-      this.advance();
-    }
-
-    throw new Error('Unterminated comment');
-  }
-
-  parseText() {
-    let text = '';
-    while (this.pos < this.length && this.peek() !== '<') {
-      text += this.peek();
-      this.advance();
-    }
-
-    return text.trim() ? new TextNode(text) : null;
-  }
-
-  parseIdentifier() {
-    let name = '';
-    // Allow letters, numbers, hyphens, underscores, colons, and dots
-    while (this.pos < this.length && /[a-zA-Z0-9\-_:.@]/.test(this.peek())) {
-      name += this.peek();
-      this.advance();
-    }
-    return name;
-  }
-
-  dump() {
-    console.log('-'.repeat(32));
-    console.log(`XML DUMP`);
-    console.log(this.xml);
-    console.log('-'.repeat(32));
-    console.log(`View of buffer starting at [${this.pos}]`);
-    console.log(this.xml.substr(this.pos));
-    console.log('-'.repeat(32));
-  }
-
-  peek(offset = 0) {
-    return this.xml[this.pos + offset] || '';
-  }
-
-  advance(count = 1) {
-    this.pos += count;
-  }
-
-  skipWhitespace() {
-    while (this.pos < this.length && /\s/.test(this.peek())) {
-      this.advance();
-    }
-  }
-
-  skipUntil(char) {
-    while (this.pos < this.length && this.peek() !== char) {
-      this.advance();
-    }
+  // SAXParser that builds a tree under root
+  builder() {
+    const root = new ParseNode('root');
+    const voidTags = this.voidTags;
+    let parent = root;
+    const append = (node, location) => {
+      node.location = location;
+      node.parent = parent;
+      parent.children.push(node);
+      return node;
+    };
+
+    const sax = new SAXParser({
+      onOpenTag(name, attributes, { selfClosing, location }) {
+        const isVoid = voidTags.has(name.toLowerCase());
+        parent = append(new ParseNode(name, attributes, [], isVoid, selfClosing && !isVoid), location);
+        for (const attribute of attributes) parent.qualify(attribute); // xmlns declarations of the ancestors are in place
+      },
+      onAttribute(attribute, { raw, quote }) {
+        if (raw !== null) sources.set(attribute, { raw, value: attribute.value, quote });
+      },
+      onCloseTag(name, { location }) {
+        parent.location = { ...parent.location, end: location.end };
+        parent = parent.parent;
+      },
+      onText(text, { raw, location }) {
+        sources.set(append(new TextNode(text), location), { raw, value: text });
+      },
+      onComment(content, { location }) {
+        append(new CommentNode(content), location);
+      },
+      onCData(content, { location }) {
+        append(new CDataNode(content), location);
+      },
+      onProcessingInstruction(target, data, { raw, location }) {
+        sources.set(append(new ProcessingInstructionNode(target, data), location), { raw, value: data });
+      },
+      onDoctype(content, { raw, location }) {
+        sources.set(append(new DoctypeNode(content), location), { raw, value: content });
+      },
+    }, { htmlEntities: this.htmlEntities, strict: this.strict, recover: this.recover, preserveWhitespace: this.preserveWhitespace, voidTags: this.voidTags });
+
+    return { sax, root };
   }
 }
 
@@ -463,4 +604,4 @@ export function generateId() {
   return `${randomChars()}-${randomChars(4)}-${randomChars(4)}-${randomChars(4)}-${randomChars(12)}`;
 }
 
-export { XMLParser, ParseNode, TextNode, CommentNode };
+export { NAMESPACES, XMLParser, XMLParseError, ParseNode, TextNode, CommentNode, CDataNode, ProcessingInstructionNode, DoctypeNode, attributeText };
@@ -0,0 +1,173 @@
+// Structural diff between two ParseNode trees.
+// diff(a, b) returns a list of plain, JSON serializable operations, patch(a, ops) applies them so that a looks like b.
+// Operations are applied in order, every path is a list of child indexes from the root at the time the operation runs:
+//   {op: 'insert', path, index, node}    node is serialized with serialize()
+//   {op: 'remove', path, index}
+//   {op: 'move', path, from, to}         to is the index after the node was taken out
+//   {op: 'setAttr', path, name, value}
+//   {op: 'removeAttr', path, name}
+//   {op: 'setText', path, value}         path points at the text (comment, CDATA, ...) node itself
+// Roots are compared as containers, their names are not diffed.
+
+import { ParseNode, TextNode, CommentNode, CDataNode, ProcessingInstructionNode, DoctypeNode } from './XMLParser.js';
+
+function attributeValue(attribute) {
+  return attribute.signal ? attribute.signal.value : attribute.value;
+}
+
+function sameValue(a, b) {
+  return Object.is(a, b) || (typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b));
+}
+
+// Plain object form of a node, attributes hold their current value
+export function serialize(node) {
+  if (node instanceof TextNode) return { type: 'text', content: node.content };
+  if (node instanceof CommentNode) return { type: 'comment', content: node.content };
+  if (node instanceof CDataNode) return { type: 'cdata', content: node.content };
+  if (node instanceof ProcessingInstructionNode) return { type: 'pi', target: node.target, content: node.content };
+  if (node instanceof DoctypeNode) return { type: 'doctype', content: node.content };
+  return {
+    type: 'element',
+    name: node.name,
+    attributes: node.attributes.map(attribute => ({ name: attribute.name, value: attributeValue(attribute) })),
+    children: node.children.map(serialize),
+    isVoid: node.isVoid,
+    selfClosing: node.selfClosing,
+  };
+}
+
+export function deserialize(data) {
+  if (data.type === 'text') return new TextNode(data.content);
+  if (data.type === 'comment') return new CommentNode(data.content);
+  if (data.type === 'cdata') return new CDataNode(data.content);
+  if (data.type === 'pi') return new ProcessingInstructionNode(data.target, data.content);
+  if (data.type === 'doctype') return new DoctypeNode(data.content);
+  const children = data.children.map(deserialize);
+  const node = new ParseNode(data.name, data.attributes.map(({ name, value }) => ({ name, value })), children, data.isVoid, data.selfClosing);
+  for (const child of children) child.parent = node;
+  return node;
+}
+
+// children are paired up by kind and name, an id or key attribute has to match as well
+function matchKey(node) {
+  if (node instanceof TextNode) return '#text';
+  if (node instanceof CommentNode) return '#comment';
+  if (node instanceof CDataNode) return '#cdata-section';
+  if (node instanceof ProcessingInstructionNode) return `?${node.target}`;
+  if (node instanceof DoctypeNode) return '#doctype';
+  const key = node.attributes.find(attribute => attribute.name === 'key' || attribute.name === 'id');
+  return key ? `${node.name}#${attributeValue(key)}` : node.name;
+}
+
+export function diff(a, b) {
+  const ops = [];
+  diffNode(a, b, [], ops);
+  return ops;
+}
+
+function diffNode(a, b, path, ops) {
+  if (!(a instanceof ParseNode)) {
+    if (a.content !== b.content) ops.push({ op: 'setText', path, value: b.content });
+    return;
+  }
+  diffAttributes(a, b, path, ops);
+  diffChildren(a, b, path, ops);
+}
+
+function diffAttributes(a, b, path, ops) {
+  const next = new Map();
+  for (const attribute of b.attributes) if (!next.has(attribute.name)) next.set(attribute.name, attributeValue(attribute));
+
+  const previous = new Map();
+  for (const attribute of a.attributes) {
+    if (previous.has(attribute.name)) continue; // duplicates: only the first attribute with a name is compared
+    previous.set(attribute.name, attributeValue(attribute));
+    if (!next.has(attribute.name)) ops.push({ op: 'removeAttr', path, name: attribute.name });
+  }
+  for (const [name, value] of next) {
+    if (!previous.has(name) || !sameValue(previous.get(name), value)) ops.push({ op: 'setAttr', path, name, value });
+  }
+}
+
+function diffChildren(a, b, path, ops) {
+  // pair every new child with the first unused old child of the same kind
+  const pairs = new Map(); // b child -> a child
+  const used = new Set();
+  for (const child of b.children) {
+    const key = matchKey(child);
+    const match = a.children.find(candidate => !used.has(candidate) && matchKey(candidate) === key);
+    if (!match) continue;
+    used.add(match);
+    pairs.set(child, match);
+  }
+
+  // the old children as they will be after each operation
+  const work = [...a.children];
+  for (let index = work.length - 1; index >= 0; index--) {
+    if (used.has(work[index])) continue;
+    ops.push({ op: 'remove', path, index });
+    work.splice(index, 1);
+  }
+
+  b.children.forEach((child, index) => {
+    const match = pairs.get(child);
+    if (!match) {
+      ops.push({ op: 'insert', path, index, node: serialize(child) });
+      work.splice(index, 0, child);
+      return;
+    }
+    const from = work.indexOf(match);
+    if (from !== index) {
+      ops.push({ op: 'move', path, from, to: index });
+      work.splice(from, 1);
+      work.splice(index, 0, match);
+    }
+  });
+
+  // structure of this level is final, paths below can use the new indexes
+  b.children.forEach((child, index) => {
+    const match = pairs.get(child);
+    if (match) diffNode(match, child, [...path, index], ops);
+  });
+}
+
+function resolve(tree, path) {
+  return path.reduce((node, index) => {
+    const child = node.children?.[index];
+    if (!child) throw new Error(`patch: no node at path [${path.join(', ')}]`);
+    return child;
+  }, tree);
+}
+
+// Apply operations from diff() through the ParseNode mutation methods, so observers see every change
+export function patch(tree, ops) {
+  for (const operation of ops) {
+    const node = resolve(tree, operation.path);
+    switch (operation.op) {
+      case 'insert':
+        node.insertBefore(deserialize(operation.node), node.children[operation.index] ?? null);
+        break;
+      case 'remove':
+        node.removeChild(node.children[operation.index]);
+        break;
+      case 'move': {
+        const child = node.children[operation.from];
+        const siblings = node.children.filter(sibling => sibling !== child);
+        node.insertBefore(child, siblings[operation.to] ?? null);
+        break;
+      }
+      case 'setAttr':
+        node.setAttribute(operation.name, operation.value);
+        break;
+      case 'removeAttr':
+        node.removeAttribute(operation.name);
+        break;
+      case 'setText':
+        node.content = operation.value;
+        break;
+      default:
+        throw new Error(`patch: unknown operation ${operation.op}`);
+    }
+  }
+  return tree;
+}
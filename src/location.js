@@ -0,0 +1,197 @@
+// Source locations for parsed nodes and parser errors.
+// A location is {start, end, line, column}: offsets into the source text, line and column (1 based) of start.
+
+// The text that was parsed, offsets of the parser are offsets into it
+export class Source {
+  #lineStarts = null;
+
+  constructor(text) {
+    this.text = text;
+  }
+
+  get lineStarts() {
+    if (!this.#lineStarts) {
+      this.#lineStarts = [0];
+      for (let index = this.text.indexOf('\n'); index !== -1; index = this.text.indexOf('\n', index + 1)) this.#lineStarts.push(index + 1);
+    }
+    return this.#lineStarts;
+  }
+
+  // offset of this.text in the whole input, and the length of the whole input
+  get textStart() {
+    return 0;
+  }
+
+  get length() {
+    return this.text.length;
+  }
+
+  // location of the parser range start..end
+  locate(start, end = start) {
+    return { start, end, ...this.position(start) };
+  }
+
+  position(offset) {
+    const lineStarts = this.lineStarts;
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = (low + high + 1) >> 1;
+      if (lineStarts[middle] <= offset) low = middle; else high = middle - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  }
+
+  get lineCount() {
+    return this.lineStarts.length;
+  }
+
+  // {start, end} offsets of line number (1 based), end is the offset of its '\n'
+  line(number) {
+    const { lineStarts } = this;
+    return { start: lineStarts[number - 1], end: number < lineStarts.length ? lineStarts[number] - 1 : this.length };
+  }
+
+  // The lines around a location with a caret under the column
+  //     2 | <ul>
+  //   > 3 |   <li>one</lu>
+  //       |          ^
+  // Long lines (minified markup) are cut to the part around the column, text that is no longer kept is left out.
+  frame({ line, column }, context = 2, width = 120) {
+    const first = Math.max(1, line - context);
+    const last = Math.min(this.lineCount, line + context);
+    const gutterWidth = String(last).length;
+    const frame = [];
+    for (let number = first; number <= last; number++) {
+      const range = this.line(number);
+      if (!range) continue;
+      const { start, end } = range;
+      const caret = start + column - 1;
+      const from = Math.max(start, this.textStart, number === line ? caret - width / 2 : 0);
+      const to = Math.min(end, from + width);
+      if (from > to || (from === to && number !== line)) continue;
+      const text = this.text.slice(from - this.textStart, to - this.textStart);
+      const gutter = String(number).padStart(gutterWidth);
+      frame.push(`${number === line ? '>' : ' '} ${gutter} | ${text}`);
+      if (number === line) frame.push(`  ${' '.repeat(gutterWidth)} | ${text.slice(0, caret - from).replace(/[^\t]/g, ' ')}^`);
+    }
+    return frame.join('\n');
+  }
+}
+
+// Input that arrives in chunks. Only the text around the parser position is kept (for code frames),
+// lines are counted as the parser moves through it: the line of the first kept character and where that line starts.
+export class StreamSource extends Source {
+  #length = 0; // of all the text appended so far
+  #lines = 1;
+  #textStart = 0;
+  #line = 1; // line of textStart
+  #lineStart = 0; // offset of that line, it may start in text that was released
+  #cursor = { offset: 0, line: 1, lineStart: 0 }; // the last position asked for, the parser moves forward
+
+  constructor() {
+    super('');
+  }
+
+  get textStart() {
+    return this.#textStart;
+  }
+
+  get length() {
+    return this.#length;
+  }
+
+  get lineCount() {
+    return this.#lines;
+  }
+
+  append(text) {
+    for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) this.#lines++;
+    this.#length += text.length;
+    this.text += text;
+  }
+
+  // offsets before textStart are no longer known, they get the position of textStart
+  position(offset) {
+    offset = Math.max(offset, this.#textStart);
+    if (offset < this.#cursor.offset) this.#cursor = { offset: this.#textStart, line: this.#line, lineStart: this.#lineStart };
+    let { line, lineStart } = this.#cursor;
+    for (let index = this.#cursor.offset - this.#textStart; index < offset - this.#textStart; index++) {
+      if (this.text.charCodeAt(index) !== 10) continue; // '\n'
+      line++;
+      lineStart = this.#textStart + index + 1;
+    }
+    this.#cursor = { offset, line, lineStart };
+    return { line, column: offset - lineStart + 1 };
+  }
+
+  // lines that are still (partly) kept
+  line(number) {
+    if (number < this.#line) return null;
+    let start = this.#lineStart;
+    let index = -1;
+    for (let line = this.#line; line < number; line++) {
+      index = this.text.indexOf('\n', index + 1);
+      if (index === -1) return null;
+      start = this.#textStart + index + 1;
+    }
+    const end = this.text.indexOf('\n', start - this.#textStart);
+    return { start, end: end === -1 ? this.#length : this.#textStart + end };
+  }
+
+  // the parser is done with everything before offset, keep the lines before it (up to a few hundred characters)
+  release(offset, context = 2) {
+    if (offset <= this.#textStart) return;
+    let start = this.text.lastIndexOf('\n', offset - this.#textStart - 1) + 1; // the line of offset
+    for (let line = 0; line < context && start > 0; line++) start = this.text.lastIndexOf('\n', start - 2) + 1;
+    start = Math.max(this.#textStart + start, offset - 256);
+    if (start <= this.#textStart) return;
+    const { line, column } = this.position(start);
+    this.text = this.text.slice(start - this.#textStart);
+    this.#textStart = start;
+    this.#line = line;
+    this.#lineStart = start - column + 1;
+    this.#cursor = { offset: start, line, lineStart: this.#lineStart };
+  }
+}
+
+// Markers the template strategies put in place of ${} values: <!-- ::0 -->, ::0="", ::0
+const MARKERS = [id => `<!-- ::${id} -->`, id => `::${id}=""`, id => `::${id}`];
+
+// A tagged template as the author wrote it, with ${…} in place of the values.
+// The parser works on the marked-up string, locations are mapped back to the template:
+// offsets into the text shown here, plus the segment (index into strings) and, inside a marker, the interpolation index.
+export class TemplateSource extends Source {
+  constructor(strings, xml) {
+    super(strings.join('${…}'));
+    this.segments = []; // {from, to, text} ranges of the marked-up string and where they start in this.text
+    let from = 0;
+    let text = 0;
+    strings.forEach((string, index) => {
+      this.segments.push({ from, to: from + string.length, text });
+      from += string.length;
+      text += string.length + 4; // '${…}'
+      if (index === strings.length - 1) return;
+      const marker = MARKERS.map(marker => marker(index)).find(marker => xml.startsWith(marker, from) && xml.startsWith(strings[index + 1], from + marker.length));
+      from += marker ? marker.length : 0;
+    });
+  }
+
+  // offset into the marked-up string -> {offset, segment, interpolation?} in the template
+  // a range that ends right before a marker ends in the segment, one that starts there starts in the marker
+  map(offset, isEnd = false) {
+    for (const [segment, { from, to, text }] of this.segments.entries()) {
+      const next = this.segments[segment + 1];
+      if (offset < to || (offset === to && (isEnd || !next || next.from === to))) return { offset: text + Math.max(0, offset - from), segment };
+      if (next && offset < next.from) return { offset: text + to - from, segment, interpolation: segment }; // inside the marker of value `segment`
+    }
+    return { offset: this.text.length, segment: this.segments.length - 1 };
+  }
+
+  locate(start, end = start) {
+    const { offset, segment, interpolation } = this.map(start);
+    const location = { start: offset, end: this.map(end, true).offset, ...this.position(offset), segment };
+    if (interpolation !== undefined) location.interpolation = interpolation;
+    return location;
+  }
+}
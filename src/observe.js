@@ -0,0 +1,92 @@
+// MutationObserver for ParseNode trees.
+// Listens to the mutation events emitted by nodes and turns them into DOM style records,
+// records of the same tick are delivered together in one callback.
+
+import { Scheduler } from './Revision.js';
+
+const scheduler = new Scheduler();
+
+const EVENT_TYPES = {
+  childList: ['childAdded', 'childRemoved', 'childMoved'],
+  attributes: ['attributeChanged'],
+  characterData: ['characterDataChanged'],
+};
+
+export class TreeObserver {
+  #callback;
+  #records = [];
+  #detach = new Map(); // node -> its listeners, observing a node again replaces them (and the options, like the DOM)
+
+  constructor(callback) {
+    this.#callback = callback;
+  }
+
+  observe(node, { subtree = false, childList = false, attributes = false, characterData = false, attributeFilter } = {}) {
+    if (!childList && !attributes && !characterData) {
+      throw new TypeError('observe: at least one of childList, attributes or characterData must be true');
+    }
+    this.#detach.get(node)?.forEach((detach) => detach());
+    const detach = [];
+    this.#detach.set(node, detach);
+    const options = { childList, attributes, characterData };
+    for (const [option, types] of Object.entries(EVENT_TYPES)) {
+      if (!options[option]) continue;
+      for (const type of types) {
+        detach.push(node.on(type, (event) => {
+          if (attributeFilter && type === 'attributeChanged' && !attributeFilter.includes(event.name)) return;
+          this.#enqueue(...toRecords(event));
+        }, { subtree }));
+      }
+    }
+    return this;
+  }
+
+  disconnect() {
+    this.#detach.forEach((listeners) => listeners.forEach((detach) => detach()));
+    this.#detach.clear();
+    this.#records.length = 0;
+  }
+
+  // Empty the record queue and return what was in it
+  takeRecords() {
+    return this.#records.splice(0);
+  }
+
+  #enqueue(...records) {
+    this.#records.push(...records);
+    scheduler.schedule(this.#deliver);
+  }
+
+  #deliver = () => {
+    const records = this.takeRecords();
+    if (records.length) this.#callback(records, this);
+  };
+}
+
+function toRecords({ type, target, node, index, from, to, name, oldValue }) {
+  switch (type) {
+    case 'childAdded':
+      return [childList(target, [node], [], index)];
+    case 'childRemoved':
+      return [childList(target, [], [node], index)];
+    case 'childMoved': // like the DOM, a move is a removal followed by an insertion
+      return [childList(target, [], [node], from), childList(target, [node], [], to)];
+    case 'attributeChanged':
+      return [{ type: 'attributes', target, attributeName: name, oldValue }];
+    case 'characterDataChanged':
+      return [{ type: 'characterData', target, oldValue }];
+  }
+  return [];
+}
+
+function childList(target, addedNodes, removedNodes, index) {
+  if (addedNodes.length) {
+    return { type: 'childList', target, addedNodes, removedNodes, previousSibling: target.children[index - 1] ?? null, nextSibling: target.children[index + 1] ?? null };
+  }
+  const siblings = target.children.filter((child) => child !== removedNodes[0]); // a moved node is still in there
+  return { type: 'childList', target, addedNodes, removedNodes, previousSibling: siblings[index - 1] ?? null, nextSibling: siblings[index] ?? null };
+}
+
+export function observe(node, options, callback) {
+  return new TreeObserver(callback).observe(node, options);
+}
@@ -0,0 +1,340 @@
+// DOM output: appendInto builds new DOM nodes for a ParseNode tree, render patches what is already in a container.
+// Either way the DOM stays bound to the tree: attribute and text signals, event handlers, and structural changes.
+
+import { Signal } from "./Signal.js";
+import { NAMESPACES, TextNode, CommentNode, CDataNode, ProcessingInstructionNode, DoctypeNode, attributeText } from "./XMLParser.js";
+import { TEXT_MARKER, TEXT_END_MARKER } from "./renderToString.js";
+
+// HTML documents have no CDATA sections, their content renders as text.
+// Processing instructions and doctypes render as comments (what the HTML parser makes of them), so indexes still line up with the tree.
+const isText = (sourceNode) => sourceNode instanceof TextNode || sourceNode instanceof CDataNode;
+const isComment = (sourceNode) => sourceNode instanceof CommentNode || sourceNode instanceof ProcessingInstructionNode || sourceNode instanceof DoctypeNode;
+const commentData = (sourceNode) => (sourceNode instanceof CommentNode ? sourceNode.content : sourceNode.toXML().slice(1, -1));
+
+const renderedContainers = new WeakMap(); // container -> {result, destructibles}
+
+// render(xtree`...`, container) the first time builds the DOM, later calls patch it.
+// The same template again only updates its parts, a different template is diffed against the DOM in the container,
+// elements are reused where the tag (and key or id attribute) match so focus and scroll state survive.
+export function render(result, container) {
+  const state = renderedContainers.get(container);
+
+  if (result == null) {
+    if (state) unmount(state);
+    renderedContainers.delete(container);
+    [...container.childNodes].forEach((node) => node.remove());
+    return null;
+  }
+
+  if (!state) {
+    const destructibles = new Set();
+    [...container.childNodes].forEach((node) => node.remove());
+    renderedContainers.set(container, { result, destructibles });
+    appendInto(result.tree, container, destructibles);
+    return result;
+  }
+
+  if (state.result === result) return result;
+
+  if (state.result.template === result.template) {
+    state.result.update(...result.values); // the new result is never built, its values go into the existing parts
+    return state.result;
+  }
+
+  unmount(state);
+  const destructibles = new Set();
+  const renderedNodes = new WeakMap();
+  const tree = result.tree;
+  if (tree.name === "root") {
+    renderedNodes.set(tree, container);
+    patchChildren(container, tree, destructibles, renderedNodes);
+    mirror(container, tree, destructibles, renderedNodes);
+  } else {
+    patchChildren(container, { children: [tree] }, destructibles, renderedNodes);
+  }
+  renderedContainers.set(container, { result, destructibles });
+  return result;
+}
+
+// hydrate(xtree`...`, container) takes over markup made by renderToString() with the same template:
+// existing elements get their attribute signals, event handlers and text bindings, nothing is rebuilt.
+// Where the DOM and the template disagree a warning with the path is printed and the DOM is fixed up.
+export function hydrate(result, container) {
+  const state = renderedContainers.get(container);
+  if (state) unmount(state);
+
+  const destructibles = new Set();
+  const renderedNodes = new WeakMap();
+  const tree = result.tree;
+  if (tree.name === "root") {
+    renderedNodes.set(tree, container);
+    hydrateChildren(container, tree, "", destructibles, renderedNodes);
+    mirror(container, tree, destructibles, renderedNodes);
+  } else {
+    hydrateChildren(container, { children: [tree] }, "", destructibles, renderedNodes);
+  }
+  renderedContainers.set(container, { result, destructibles });
+  return result;
+}
+
+// <!--hj:t--> and <!--/hj:t--> around dynamic text, or just one of them with marker
+function isMarker(domNode, marker) {
+  return domNode?.nodeType === 8 && (marker ? domNode.data === marker : domNode.data === TEXT_MARKER || domNode.data === TEXT_END_MARKER);
+}
+
+function hydrateChildren(domParent, sourceNode, path, destructibles, renderedNodes) {
+  // the tree keeps the whitespace of its templates, whitespace the tree does not have (formatting of hand-written markup) is left alone
+  const domNodes = [...domParent.childNodes];
+  const isBlank = (domNode) => domNode?.nodeType === 3 && !domNode.data.trim();
+  let cursor = 0;
+
+  sourceNode.children.forEach((child, index) => {
+    const step = `${child.name ?? (isText(child) ? "#text" : "#comment")}[${index}]`;
+    const childPath = path ? `${path} > ${step}` : step;
+
+    if (isText(child)) {
+      // dynamic text sits between markers, so it is never merged with the static text next to it
+      const marked = isMarker(domNodes[cursor], TEXT_MARKER);
+      if (marked) cursor++;
+      let domNode = domNodes[cursor];
+      if (domNode?.nodeType === 3) {
+        cursor++;
+        if (!child.signal && domNode.data.trim() !== child.content.trim()) {
+          console.warn(`hydrate: text differs at ${childPath}, expected "${child.content}" found "${domNode.data}"`);
+          domNode.data = child.content;
+        }
+      } else {
+        if (child.content.trim()) console.warn(`hydrate: missing text at ${childPath}`);
+        domNode = document.createTextNode(child.content);
+        domParent.insertBefore(domNode, domNodes[cursor] ?? null);
+      }
+      if (marked && isMarker(domNodes[cursor], TEXT_END_MARKER)) cursor++;
+      renderedNodes.set(child, domNode);
+      if (child.signal) destructibles.add(child.signal.subscribe((v) => (domNode.data = String(v))));
+      return;
+    }
+
+    while (isMarker(domNodes[cursor]) || isBlank(domNodes[cursor])) cursor++;
+    const domNode = domNodes[cursor];
+
+    if (domNode && (isComment(child) ? domNode.nodeType === 8 : domNode.nodeType === 1 && sameTag(domNode, child))) {
+      cursor++;
+      if (isComment(child)) return renderedNodes.set(child, domNode);
+      hydrateElement(domNode, child, childPath, destructibles, renderedNodes);
+      return;
+    }
+
+    if (!isComment(child)) console.warn(`hydrate: expected <${child.name}> at ${childPath}, found ${domNode ? domNode.nodeName : "nothing"}`);
+    domParent.insertBefore(createNode(child, destructibles, renderedNodes), domNode ?? null);
+  });
+
+  for (const domNode of domNodes.slice(cursor)) {
+    if (isMarker(domNode) || isBlank(domNode)) continue;
+    console.warn(`hydrate: unexpected ${domNode.nodeName} in ${path || "container"}, it was removed`);
+    domNode.remove();
+  }
+}
+
+function hydrateElement(element, sourceNode, path, destructibles, renderedNodes) {
+  renderedNodes.set(sourceNode, element);
+  for (const attr of sourceNode.attributes) {
+    if (attr.kind && attr.kind !== "attribute") continue;
+    const expected = attributeText(attr);
+    const found = element.getAttribute(attr.name);
+    if (expected !== found) console.warn(`hydrate: attribute ${attr.name} differs at ${path}, expected ${JSON.stringify(expected)} found ${JSON.stringify(found)}`);
+  }
+  bindAttributes(element, sourceNode, destructibles);
+  hydrateChildren(element, sourceNode, path, destructibles, renderedNodes);
+  mirror(element, sourceNode, destructibles, renderedNodes);
+}
+
+function unmount({ result, destructibles }) {
+  destructibles.forEach((destructible) => destructible()); // unbind the DOM first, so the old tree can be released without touching it
+  destructibles.clear();
+  result.unsubscribe();
+}
+
+// DOM node that can be reused for a ParseNode: same node type, same tag name, same key
+function isCompatible(domNode, sourceNode) {
+  if (isText(sourceNode)) return domNode.nodeType === 3;
+  if (isComment(sourceNode)) return domNode.nodeType === 8;
+  if (domNode.nodeType !== 1 || !sameTag(domNode, sourceNode)) return false;
+  const key = keyOf(sourceNode);
+  return key == null || domNode.getAttribute("key") === key || domNode.getAttribute("id") === key;
+}
+
+// <svg:rect> created with createElementNS has the localName rect, the HTML parser keeps svg:rect
+function sameTag(domNode, sourceNode) {
+  return domNode.localName === sourceNode.localName || domNode.localName === sourceNode.name;
+}
+
+function keyOf(sourceNode) {
+  const attribute = sourceNode.attributes.find((attr) => attr.name === "key" || attr.name === "id");
+  if (!attribute) return null;
+  return String(attribute.signal ? attribute.signal.value : attribute.value);
+}
+
+function patchChildren(domParent, sourceNode, destructibles, renderedNodes) {
+  const available = [...domParent.childNodes];
+
+  sourceNode.children.forEach((child, index) => {
+    const match = available.findIndex((domNode) => isCompatible(domNode, child));
+    let domNode;
+    if (match === -1) {
+      domNode = createNode(child, destructibles, renderedNodes);
+    } else {
+      [domNode] = available.splice(match, 1);
+      patchNode(domNode, child, destructibles, renderedNodes);
+    }
+    if (domParent.childNodes[index] !== domNode) domParent.insertBefore(domNode, domParent.childNodes[index] ?? null);
+  });
+
+  available.forEach((domNode) => domNode.remove());
+}
+
+function patchNode(domNode, sourceNode, destructibles, renderedNodes) {
+  renderedNodes.set(sourceNode, domNode);
+
+  if (isComment(sourceNode)) {
+    if (domNode.data !== commentData(sourceNode)) domNode.data = commentData(sourceNode);
+    return;
+  }
+
+  if (isText(sourceNode)) {
+    if (domNode.data !== sourceNode.content) domNode.data = sourceNode.content;
+    if (sourceNode.signal) destructibles.add(sourceNode.signal.subscribe((v) => (domNode.data = String(v))));
+    return;
+  }
+
+  // attributes the new tree does not have are removed, the rest are (re)bound
+  const names = new Set(sourceNode.attributes.filter((attr) => attr.kind !== "event" && attr.kind !== "property").map((attr) => attr.name));
+  for (const { name } of [...domNode.attributes]) {
+    if (!names.has(name)) domNode.removeAttribute(name);
+  }
+  bindAttributes(domNode, sourceNode, destructibles);
+
+  patchChildren(domNode, sourceNode, destructibles, renderedNodes);
+  mirror(domNode, sourceNode, destructibles, renderedNodes);
+}
+
+export function appendInto(sourceNode, targetNode, destructibles = new Set()){
+  const renderedNodes = new WeakMap(); // ParseNode -> DOM node, so nodes that move around in the tree keep their DOM counterpart
+
+  // a template with several top level nodes renders them straight into the target
+  if (sourceNode.name === "root" && targetNode) {
+    renderedNodes.set(sourceNode, targetNode);
+    populate(targetNode, sourceNode, destructibles, renderedNodes);
+    return targetNode;
+  }
+
+  const element = createNode(sourceNode, destructibles, renderedNodes);
+
+  // Append to target node if provided
+  if (targetNode) {
+    targetNode.appendChild(element);
+  }
+
+  return element;
+}
+
+function createNode(sourceNode, destructibles, renderedNodes) {
+  if (renderedNodes.has(sourceNode)) return renderedNodes.get(sourceNode);
+
+  if (isComment(sourceNode)) {
+    const commentNode = document.createComment(commentData(sourceNode));
+    renderedNodes.set(sourceNode, commentNode);
+    return commentNode;
+  }
+
+  if (isText(sourceNode)) {
+    const textNode = document.createTextNode(sourceNode.content);
+    renderedNodes.set(sourceNode, textNode);
+    if (sourceNode.signal) destructibles.add(sourceNode.signal.subscribe((v) => (textNode.data = String(v))));
+    return textNode;
+  }
+
+  const element = document.createElementNS(namespaceOf(sourceNode, renderedNodes), sourceNode.name);
+  renderedNodes.set(sourceNode, element);
+  populate(element, sourceNode, destructibles, renderedNodes);
+  return element;
+}
+
+// Declared namespace (xmlns) first, then the HTML rules: <svg> and <math> start their namespace,
+// children inherit it from the DOM parent except inside <foreignObject>, everything else is HTML.
+function namespaceOf(sourceNode, renderedNodes) {
+  if (sourceNode.namespaceURI) return sourceNode.namespaceURI;
+  if (sourceNode.name === "svg") return NAMESPACES.svg;
+  if (sourceNode.name === "math") return NAMESPACES.mathml;
+  const parent = renderedNodes.get(sourceNode.parent);
+  if (!parent?.namespaceURI || parent.localName === "foreignObject") return NAMESPACES.html;
+  return parent.namespaceURI;
+}
+
+function populate(element, sourceNode, destructibles, renderedNodes) {
+  bindAttributes(element, sourceNode, destructibles);
+
+  // Recursively process children if they exist
+  if (sourceNode.children && Array.isArray(sourceNode.children)) {
+    sourceNode.children.forEach(child => {
+      element.appendChild(createNode(child, destructibles, renderedNodes));
+    });
+  }
+
+  mirror(element, sourceNode, destructibles, renderedNodes);
+}
+
+function bindAttributes(element, sourceNode, destructibles) {
+  // Set attributes if they exist
+  if (sourceNode.attributes && Array.isArray(sourceNode.attributes)) {
+    sourceNode.attributes.forEach(attr => bindAttribute(element, attr, destructibles));
+  }
+}
+
+function bindAttribute(element, attr, destructibles) {
+  if (attr.kind === "event") return bindEvent(element, attr, destructibles);
+  const signal = attr.signal ?? new Signal(attr.value); // attributes added with ParseNode.setAttribute have a plain value
+  if (attr.kind === "property") return destructibles.add(signal.subscribe(v=>(element[attr.name] = v)));
+  if (attr.kind === "boolean") return destructibles.add(signal.subscribe(v=>element.toggleAttribute(attr.name, Boolean(v))));
+  // written the way renderToString() writes it: width="50%" from {value, unit}, no attribute for null, undefined or false
+  destructibles.add(signal.subscribe(v=>{
+    const text = attributeText({ value: v });
+    if (attr.namespaceURI) { // xlink:href, xml:lang
+      if (text === null) element.removeAttributeNS(attr.namespaceURI, attr.localName);
+      else element.setAttributeNS(attr.namespaceURI, attr.name, text);
+    } else {
+      if (text === null) element.removeAttribute(attr.name);
+      else element.setAttribute(attr.name, text);
+    }
+  }));
+}
+
+function mirror(element, sourceNode, destructibles, renderedNodes) {
+  // Mirror structural changes of the tree (repeat(), appendChild, remove...) reusing existing DOM nodes
+  const place = ({ target, node }) => {
+    const nextSibling = target.children[target.children.indexOf(node) + 1];
+    element.insertBefore(createNode(node, destructibles, renderedNodes), nextSibling ? renderedNodes.get(nextSibling) ?? null : null);
+  };
+  destructibles.add(sourceNode.on("childAdded", place));
+  destructibles.add(sourceNode.on("childMoved", place));
+  destructibles.add(sourceNode.on("childRemoved", ({ node }) => renderedNodes.get(node)?.remove()));
+
+  // attributes that come and go (spread objects, setAttribute, removeAttribute), changes of bound ones arrive through their signal
+  destructibles.add(sourceNode.on("attributeChanged", ({ name, oldValue }) => {
+    const attr = sourceNode.attributes.find((attr) => attr.name === name);
+    if (!attr) return element.removeAttribute(name);
+    if (oldValue === null || (!attr.signal && attr.kind !== "event")) bindAttribute(element, attr, destructibles);
+  }));
+}
+
+// once, passive and capture are addEventListener options, prevent and stop call the matching Event method first
+function bindEvent(element, { name, modifiers, handler }, destructibles) {
+  const options = { once: modifiers.includes("once"), passive: modifiers.includes("passive"), capture: modifiers.includes("capture") };
+  const listener = (event) => {
+    if (modifiers.includes("prevent")) event.preventDefault();
+    if (modifiers.includes("stop")) event.stopPropagation();
+    const fn = handler instanceof Signal ? handler.value : handler; // a Signal lets the handler be swapped later
+    if (typeof fn === "function") return fn.call(element, event);
+  };
+  element.addEventListener(name, listener, options);
+  destructibles.add(() => element.removeEventListener(name, listener, options));
+}
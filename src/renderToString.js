@@ -0,0 +1,201 @@
+// Server side rendering: the current value of every signal, written out as HTML.
+// Dynamic text is wrapped in <!--hj:t--> and <!--/hj:t--> markers, the browser would otherwise merge it with the text next to it
+// (or drop it when empty) and hydrate() could not find it again.
+//
+// Template results that were never turned into a tree are written straight from the compiled template and the values,
+// nested templates and list items are rendered one at a time while the output is produced, so a large report
+// never exists as a whole tree or a whole string when it is streamed with renderToStream().
+
+import { Signal } from './Signal.js';
+import { XMLParser, ParseNode, TextNode, CommentNode, CDataNode, attributeText } from './XMLParser.js';
+import { TemplateResult, isList } from './template.js';
+import { RepeatDirective } from './repeat.js';
+import { escapeText, escapeAttribute } from './entities.js';
+
+export const TEXT_MARKER = 'hj:t';
+export const TEXT_END_MARKER = '/hj:t';
+
+const RAW_TEXT_TAGS = new Set(['script', 'style']);
+
+// renderToString(xtree`...`) or renderToString(parseNode), pass {markers: false} for plain HTML that will not be hydrated
+export function renderToString(input, { markers = true } = {}) {
+  let html = '';
+  for (const chunk of serializeInput(input, { markers })) html += chunk;
+  return html;
+}
+
+// for await (const chunk of renderToStream(result)) response.write(chunk)
+// Chunks of about chunkSize characters, the next one is only produced when the consumer asks for it.
+// Node: Readable.from(renderToStream(result)), browsers and Node: renderToReadableStream(result)
+export async function* renderToStream(input, { markers = true, chunkSize = 16384 } = {}) {
+  let buffer = '';
+  for (const piece of serializeInput(input, { markers })) {
+    buffer += piece;
+    if (buffer.length < chunkSize) continue;
+    yield buffer;
+    buffer = '';
+  }
+  if (buffer) yield buffer;
+}
+
+// WHATWG ReadableStream, pulled chunk by chunk so the reader's queue controls the pace
+export function renderToReadableStream(input, options) {
+  const chunks = renderToStream(input, options);
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await chunks.next();
+      if (done) return controller.close();
+      controller.enqueue(value);
+    },
+    cancel() {
+      return chunks.return();
+    },
+  });
+}
+
+function* serializeInput(input, options) {
+  if (input instanceof TemplateResult) {
+    yield* serializeResult(input, options);
+  } else {
+    yield* serialize(input.tree ?? input, options);
+  }
+}
+
+function* serializeResult(result, options) {
+  if (result.instantiated) {
+    yield* serialize(result.tree, options);
+  } else {
+    yield* serializeChildren(result.template.prototype, [], partsByPath(result.template), result.values, options, false);
+  }
+}
+
+// Walks the tree and yields the markup piece by piece
+export function* serialize(node, options, rawText = false) {
+  if (node instanceof TextNode) {
+    const marked = options.markers && node.signal;
+    if (marked) yield `<!--${TEXT_MARKER}-->`;
+    yield rawText ? node.content : escapeText(node.content);
+    if (marked) yield `<!--${TEXT_END_MARKER}-->`;
+    return;
+  }
+
+  if (node instanceof CommentNode) {
+    yield comment(node.content);
+    return;
+  }
+
+  // HTML has no CDATA sections outside svg and math, the content goes out as text
+  if (node instanceof CDataNode) {
+    yield rawText ? node.content : escapeText(node.content);
+    return;
+  }
+
+  // processing instructions and doctypes as they were written
+  if (!(node instanceof ParseNode)) {
+    yield node.toXML();
+    return;
+  }
+
+  if (node.name === 'root') {
+    for (const child of node.children) yield* serialize(child, options);
+    return;
+  }
+
+  yield* element(node, node.attributes.map(attr => ({ ...attr, value: attr.signal ? attr.signal.value : attr.value })), options, function* (raw) {
+    for (const child of node.children) yield* serialize(child, options, raw);
+  });
+}
+
+function comment(content) {
+  return `<!--${String(content).replace(/--/g, '- -')}-->`;
+}
+
+// attributes: [{name, kind, value}] with current values
+function* element(node, attributes, options, children) {
+  let tag = `<${node.name}`;
+  for (const attr of attributes) {
+    if (attr.kind === 'event' || attr.kind === 'property') continue; // bound by hydrate(), nothing to write
+    const value = attributeText(attr);
+    if (value === null) continue;
+    tag += attr.kind === 'boolean' ? ` ${attr.name}` : ` ${attr.name}="${escapeAttribute(value)}"`;
+  }
+
+  yield tag + '>';
+  if (XMLParser.voidTags.has(node.name.toLowerCase())) return;
+
+  yield* children(RAW_TEXT_TAGS.has(node.name.toLowerCase()));
+  yield `</${node.name}>`;
+}
+
+// Straight from a compiled template: parts are looked up by the path of the node they sit on
+
+const partsCache = new WeakMap(); // TemplateDefinition -> Map path -> {attributes: Map attributeIndex -> part, node: part}
+
+function partsByPath(definition) {
+  let parts = partsCache.get(definition);
+  if (parts) return parts;
+  parts = new Map();
+  for (const part of definition.parts) {
+    const key = part.path.join('/');
+    if (!parts.has(key)) parts.set(key, { attributes: new Map(), node: null });
+    if (part.type === 'node') parts.get(key).node = part;
+    else parts.get(key).attributes.set(part.attributeIndex, part);
+  }
+  partsCache.set(definition, parts);
+  return parts;
+}
+
+const current = (value) => (value instanceof Signal ? value.value : value);
+
+function* serializeChildren(node, path, parts, values, options, raw) {
+  for (const [index, child] of node.children.entries()) {
+    const childPath = [...path, index];
+    const part = parts.get(childPath.join('/'));
+
+    if (part?.node) {
+      yield* serializeValue(values[part.node.index], child.content, options);
+    } else if (!(child instanceof ParseNode)) {
+      yield* serialize(child, options, raw);
+    } else {
+      const attributes = [];
+      child.attributes.forEach((attr, attributeIndex) => {
+        const attributePart = part?.attributes.get(attributeIndex);
+        if (!attributePart) return attributes.push(attr);
+        const value = current(values[attributePart.index]);
+        if (attributePart.type === 'spread') {
+          for (const [name, content] of Object.entries(value ?? {})) attributes.push({ name, kind: 'attribute', value: content });
+        } else {
+          attributes.push({ ...attr, value });
+        }
+      });
+      yield* element(child, attributes, options, (raw) => serializeChildren(child, childPath, parts, values, options, raw));
+    }
+  }
+}
+
+// a value in text position, written the way its part would render it (templates and lists keep their anchor comment)
+function* serializeValue(value, anchor, options) {
+  if (value instanceof TemplateResult) {
+    yield* serializeResult(value, options);
+    yield comment(anchor);
+    return;
+  }
+
+  if (isList(value)) {
+    const directive = value instanceof RepeatDirective ? value : null;
+    const items = directive ? directive.items : value;
+    const templateFn = directive ? directive.templateFn : (item) => item;
+    let index = 0;
+    for (const item of current(items) ?? []) {
+      const rendered = templateFn(item, index++);
+      if (rendered instanceof TemplateResult) yield* serializeResult(rendered, options);
+      else yield* serializeValue(rendered, anchor, options);
+    }
+    yield comment(anchor);
+    return;
+  }
+
+  if (options.markers) yield `<!--${TEXT_MARKER}-->`;
+  yield escapeText(current(value) ?? '');
+  if (options.markers) yield `<!--${TEXT_END_MARKER}-->`;
+}
@@ -0,0 +1,124 @@
+// Keyed list directive: xtree`<ul>${repeat(todos, todo => todo.id, todo => xtree`<li>${todo.title}</li>`)}</ul>`
+// Every item is rendered into its own subtree, when the list changes the subtrees are reconciled by key:
+// surviving items keep their ParseNodes (and so their DOM elements), the rest are created, moved or removed.
+// Items rendered to something other than a template (strings, numbers, signals) are shown as text.
+
+import { Signal } from "./Signal.js";
+import { TextNode } from "./XMLParser.js";
+import { TemplateResult } from "./template.js";
+
+export class RepeatDirective {
+  constructor(items, keyFn, templateFn) {
+    this.items = items; // Array, SignalArray or Signal holding an array
+    this.keyFn = keyFn;
+    this.templateFn = templateFn;
+  }
+
+  // Render the items in front of anchor (the comment marker that held the interpolation) and keep them in sync.
+  // Returns a controller: reconcile(items) to render another array, nodes() for everything currently rendered.
+  mount(anchor, destructibles) {
+    const entries = new Map(); // key -> {item, result}
+
+    const reconcile = (items) => {
+      const parent = anchor.parent;
+      const next = new Map();
+
+      [...items].forEach((item, index) => {
+        const key = this.keyFn(item, index);
+        if (next.has(key)) throw new Error(`repeat: duplicate key ${String(key)}`);
+        let entry = entries.get(key);
+        if (entry && entry.item !== item) {
+          // same key, different item: update in place when the template is the same, otherwise render it again
+          const result = this.render(item, index);
+          if (result.template === entry.result.template) {
+            entry.result.update(...result.values);
+            entry.item = item;
+          } else {
+            entry = { item, result };
+          }
+        }
+        next.set(key, entry ?? { item, result: this.render(item, index) });
+      });
+
+      for (const [key, entry] of entries) {
+        if (next.get(key) === entry) continue;
+        release(entry);
+      }
+
+      // walk backwards so every subtree lands in front of the one that follows it, nodes already in place are not touched
+      let reference = anchor;
+      for (const entry of [...next.values()].reverse()) {
+        for (const node of [...entry.result.nodes].reverse()) {
+          const nextSibling = node.parent === parent ? parent.children[parent.children.indexOf(node) + 1] : undefined;
+          if (nextSibling !== reference) parent.insertBefore(node, reference);
+          reference = node;
+        }
+      }
+
+      entries.clear();
+      for (const [key, entry] of next) entries.set(key, entry);
+    };
+
+    const release = (entry) => {
+      for (const node of entry.result.nodes) node.remove();
+      entry.result.unsubscribe();
+    };
+
+    if (typeof this.items?.subscribe === 'function') {
+      destructibles.add(this.items.subscribe((items) => reconcile(items ?? [])));
+    } else {
+      reconcile(this.items);
+    }
+    destructibles.add(() => {
+      for (const entry of entries.values()) release(entry);
+      entries.clear();
+    });
+
+    return {
+      reconcile,
+      nodes: () => [...entries.values()].flatMap((entry) => entry.result.nodes),
+    };
+  }
+
+  render(item, index) {
+    const result = this.templateFn(item, index);
+    return result instanceof TemplateResult ? result : new TextResult(result);
+  }
+}
+
+// A list item shown as text, it looks like a TemplateResult to reconcile(): a new value updates the text node in place
+class TextResult {
+  constructor(value) {
+    this.template = TextResult; // the same for every text item
+    this.textNode = new TextNode("");
+    this.textNode.signal = new Signal("");
+    this.textNode.signal.subscribe((v) => (this.textNode.content = v));
+    this.forward = null;
+    this.update(value);
+  }
+
+  get nodes() {
+    return [this.textNode];
+  }
+
+  get values() {
+    return [this.value];
+  }
+
+  update(value) {
+    this.value = value;
+    this.unsubscribe();
+    const write = (v) => (this.textNode.signal.value = v == null ? "" : String(v));
+    if (value instanceof Signal) this.forward = value.subscribe(write);
+    else write(value);
+  }
+
+  unsubscribe() {
+    this.forward?.();
+    this.forward = null;
+  }
+}
+
+export function repeat(items, keyFn, templateFn) {
+  return new RepeatDirective(items, keyFn, templateFn);
+}
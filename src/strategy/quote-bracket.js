@@ -124,7 +124,21 @@ export default function quoteAndBracketStrategy(context, strings, values) {
       };
     }
 
-    // 2. If we're in a tag but not in quotes, it's an attribute name
+    // 2. Unquoted attribute value, like on:click=${fn}
+    if (state.inTag && !inQuote && state.lastChar === '=') {
+      return {
+        type: 'ATTR_VALUE',
+        detail: {
+          inTag: state.inTag,
+          inQuote: false,
+          unquoted: true,
+          bracketDepth: state.bracketDepth,
+          curlyBraceDepth: state.curlyBraceDepth
+        }
+      };
+    }
+
+    // 3. If we're in a tag but not in quotes, it's an attribute name
     if (state.inTag && !inQuote) {
       return {
         type: 'ATTR_NAME',
@@ -137,7 +151,7 @@ export default function quoteAndBracketStrategy(context, strings, values) {
       };
     }
 
-    // 3. If we're not in a tag, it's text content
+    // 4. If we're not in a tag, it's text content
     if (!state.inTag) {
       return {
         type: 'TEXT',
@@ -150,7 +164,7 @@ export default function quoteAndBracketStrategy(context, strings, values) {
       };
     }
 
-    // 4. Fallback to text
+    // 5. Fallback to text
     return {
       type: 'TEXT',
       detail: {
@@ -121,6 +121,25 @@ states.forEach((state, idx) => {
   console.log(`  Position ${idx}: inTag=${state.inTag}, quotes=(${state.inSingleQuote ? 'single' : ''}${state.inDoubleQuote ? 'double' : ''})`);
 });
 
+console.log('');
+
+// Test 7: Unquoted attribute values (event handlers)
+console.log('Test 7: Unquoted Attribute Values');
+const onClick = () => {};
+const label = new Signal("Save");
+
+const context7 = new Map();
+const strings7 = ['<button on:click=', ' @focus.once=', '>', '</button>'];
+const values7 = [onClick, onClick, label];
+
+const result7 = quoteAndBracketStrategy(context7, strings7, values7);
+console.log('Input: <button on:click=${onClick} @focus.once=${onClick}>${label}</button>');
+console.log('Output:', result7);
+console.log('Context analysis:');
+context7.forEach((data, id) => {
+  console.log(`  ::${id} -> ${data.context.type} (unquoted: ${Boolean(data.context.detail.unquoted)})`);
+});
+
 console.log('\n=== Quote and Bracket Tracking Benefits ===');
 console.log('✅ Precise quote state tracking with escape handling');
 console.log('✅ Comprehensive bracket depth monitoring');
@@ -0,0 +1,414 @@
+// Compiled templates.
+// A template is parsed once into static structure (a prototype ParseNode tree) and an ordered list of parts,
+// every part is a place where a value goes: attribute-value, spread, event, text and child-template.
+// Rendering clones the prototype and commits values into the parts, re-rendering commits only the values that changed.
+
+import { Signal } from "./Signal.js";
+import { TextNode, CommentNode } from "./XMLParser.js";
+import { RepeatDirective, repeat } from "./repeat.js";
+
+// for: static attributes
+function parseElementAttributeValue(value) {
+  if (typeof value === "string") {
+    if (value.includes("%")) {
+      return { value: parseFloat(value), unit: "%" };
+    }
+    if (!isNaN(value)) {
+      return parseFloat(value);
+    }
+  }
+  return value;
+}
+
+const markerId = (text) => parseInt(text.trim().substr(2));
+
+export class TemplateDefinition {
+  constructor(prototype, context) {
+    this.prototype = prototype; // ParseNode tree, markers are replaced by part descriptors
+    this.context = context; // strategy records (value context of every interpolation), without the values
+    this.parts = []; // {type, index (of the value), path (child indexes from the root), ...}
+    this.statics = []; // {path, attributeIndex} plain attributes that become signals on every render
+    this.#compile(prototype, []);
+  }
+
+  #compile(node, path) {
+    const attributes = [];
+
+    for (const attribute of node.attributes) {
+      const isReference = attribute.value.startsWith("::");
+
+      // Event listeners: @click="${fn}" on:click=${fn}, modifiers follow the event name @submit.prevent.once="${fn}"
+      if (/^(@|on:)/.test(attribute.name)) {
+        const [name, ...modifiers] = attribute.name.replace(/^(@|on:)/, "").split(".");
+        if (!isReference) {
+          console.warn(`Warning: ${attribute.name} expects a function or a Signal holding one, the attribute was dropped`);
+          continue;
+        }
+        this.parts.push({ type: "event", index: markerId(attribute.value), path, attributeIndex: attributes.length });
+        attributes.push({ name, kind: "event", modifiers });
+        continue;
+      }
+
+      // Spread Objects ${object}
+      if (attribute.name.startsWith("::") && attribute.value == "") {
+        this.parts.push({ type: "spread", index: markerId(attribute.name), path, attributeIndex: attributes.length });
+        attributes.push({ name: attribute.name, kind: "spread" }); // placeholder, the spread attributes take its place
+        continue;
+      }
+
+      // Binding kind from the name prefix: .value="${v}" sets a DOM property, ?disabled="${v}" toggles a boolean attribute
+      const kind = attribute.name.startsWith(".") ? "property" : attribute.name.startsWith("?") ? "boolean" : "attribute";
+      const name = kind === "attribute" ? attribute.name : attribute.name.substr(1);
+
+      if (isReference) {
+        this.parts.push({ type: "attribute", index: markerId(attribute.value), path, attributeIndex: attributes.length });
+        attributes.push(node.qualify({ name, kind }));
+      } else {
+        this.statics.push({ path, attributeIndex: attributes.length });
+        attributes.push(node.qualify({ name, kind, value: parseElementAttributeValue(attribute.value) }));
+      }
+    }
+    node.attributes = attributes;
+
+    node.children.forEach((child, childIndex) => {
+      if (child instanceof CommentNode && child.content.trim().startsWith("::")) {
+        this.parts.push({ type: "node", index: markerId(child.content), path: [...path, childIndex] });
+      } else if (child.children) {
+        this.#compile(child, [...path, childIndex]);
+      }
+    });
+  }
+
+  instantiate(values) {
+    return new TemplateInstance(this, values);
+  }
+}
+
+function resolve(root, path) {
+  return path.reduce((node, index) => node.children[index], root);
+}
+
+export class TemplateInstance {
+  constructor(definition, values) {
+    this.definition = definition;
+    this.values = values;
+    this.root = definition.prototype.clone();
+
+    // find every target before any value is committed, committing changes the structure
+    const targets = definition.parts.map(({ path }) => resolve(this.root, path));
+    for (const { path, attributeIndex } of definition.statics) {
+      const attribute = resolve(this.root, path).attributes[attributeIndex];
+      attribute.signal = new Signal(attribute.value);
+      delete attribute.value;
+    }
+
+    // top level: plain nodes and the parts that render there, a part may render any number of nodes.
+    // Taken while the markers are still in place, a text part puts its own node where its marker was.
+    this.slots = this.root.children.map((child) => {
+      const partIndex = targets.findIndex((target, i) => target === child && definition.parts[i].type === "node");
+      return partIndex === -1 ? child : partIndex;
+    });
+
+    this.parts = definition.parts.map((descriptor, i) => createPart(descriptor, targets[i], values[descriptor.index]));
+
+    this.parts.forEach((part) => part.commit(values[part.index]));
+
+    // the single top level node, or the root when the template renders several
+    this.tree = this.root.children.length == 1 ? this.root.children[0] : this.root;
+  }
+
+  // nodes this template currently renders at the top level, even after they were moved into another tree
+  get nodes() {
+    return this.slots.flatMap((slot) => (typeof slot === "number" ? this.parts[slot].nodes : [slot]));
+  }
+
+  update(values) {
+    const previous = this.values;
+    this.values = values;
+    this.parts.forEach((part, i) => {
+      const value = values[part.index];
+      if (Object.is(value, previous[part.index])) return; // unchanged, leave the tree and the DOM alone
+      if (part.type === "text" || part.type === "child-template") {
+        const type = nodePartType(value);
+        if (type !== part.type) return (this.parts[i] = swapNodePart(part, value));
+      }
+      part.commit(value);
+    });
+  }
+
+  dispose() {
+    this.parts.forEach((part) => part.dispose());
+  }
+}
+
+// What xtree returns: the template and its values, the tree is built on first use.
+// Nested templates are often never used on their own, a child-template part can just update
+// the instance it already has with their values.
+export class TemplateResult {
+  #instance;
+  #destructibles = new Set();
+
+  constructor(definition, values, { appendInto } = {}) {
+    this.template = definition;
+    this.values = values;
+    this.unsubscribe = () => this.dispose();
+    this.appendInto = (htmlElement) => appendInto(this.tree, htmlElement, this.#destructibles);
+  }
+
+  // true once the tree was built, until then the result is just the template and its values
+  get instantiated() {
+    return this.#instance !== undefined;
+  }
+
+  get instance() {
+    this.#instance ??= this.template.instantiate(this.values);
+    return this.#instance;
+  }
+
+  get tree() {
+    return this.instance.tree;
+  }
+
+  get nodes() {
+    return this.instance.nodes;
+  }
+
+  update(...values) {
+    this.values = values;
+    if (this.#instance) this.#instance.update(values);
+  }
+
+  dispose() {
+    this.#instance?.dispose();
+    this.#destructibles.forEach((destructible) => destructible());
+    this.#destructibles.clear();
+  }
+}
+
+function createPart(descriptor, target, value) {
+  switch (descriptor.type) {
+    case "attribute":
+      return new AttributePart(descriptor, target.attributes[descriptor.attributeIndex]);
+    case "spread":
+      return new SpreadPart(descriptor, target, target.attributes[descriptor.attributeIndex]);
+    case "event":
+      return new EventPart(descriptor, target.attributes[descriptor.attributeIndex]);
+    case "node":
+      return createNodePart(descriptor, target, value);
+  }
+}
+
+export function isList(value) {
+  return Array.isArray(value) || value instanceof RepeatDirective || (value?.[Symbol.iterator] && typeof value.subscribe === "function");
+}
+
+function nodePartType(value) {
+  return value instanceof TemplateResult || isList(value) ? "child-template" : "text";
+}
+
+function createNodePart(descriptor, anchor, value) {
+  return nodePartType(value) === "text" ? new TextPart(descriptor, anchor) : new ChildTemplatePart(descriptor, anchor);
+}
+
+// the value changed between text and templates, put a new part where the old one was
+function swapNodePart(part, value) {
+  const [first] = part.nodes;
+  const anchor = new CommentNode(` ::${part.index} `);
+  first.parent.insertBefore(anchor, first);
+  part.clear();
+  part.nodes.forEach((node) => node.remove()); // the old anchor
+  part.dispose();
+  const replacement = createNodePart(part.descriptor, anchor, value);
+  replacement.commit(value);
+  return replacement;
+}
+
+// Parts own a Signal that the tree (and the DOM bound to it) listens to, committing a value writes into it,
+// a Signal value is forwarded. The attribute objects and nodes are never replaced.
+class Part {
+  constructor(descriptor) {
+    this.descriptor = descriptor;
+    this.type = descriptor.type;
+    this.index = descriptor.index;
+    this.forward = null;
+  }
+
+  connect(value, write) {
+    this.forward?.();
+    this.forward = null;
+    if (value instanceof Signal) {
+      this.forward = value.subscribe(write);
+      if (value.value == null) write(value.value);
+    } else {
+      write(value);
+    }
+  }
+
+  clear() {}
+
+  dispose() {
+    this.forward?.();
+    this.forward = null;
+  }
+}
+
+// name="${value}", .name=${value}, ?name=${value}
+class AttributePart extends Part {
+  constructor(descriptor, attribute) {
+    super(descriptor);
+    this.attribute = attribute;
+    attribute.signal = new Signal(undefined);
+  }
+
+  commit(value) {
+    this.connect(value, (v) => (this.attribute.signal.value = v));
+  }
+}
+
+// @click=${fn}, the listener reads the handler from a signal so it can be swapped without touching the DOM
+class EventPart extends Part {
+  constructor(descriptor, attribute) {
+    super(descriptor);
+    this.attribute = attribute;
+    attribute.handler = new Signal(undefined);
+  }
+
+  commit(value) {
+    if (typeof value !== "function" && !(value instanceof Signal)) {
+      console.warn(`Warning: @${this.attribute.name} expects a function or a Signal holding one`);
+    }
+    this.connect(value, (fn) => (this.attribute.handler.value = fn));
+  }
+}
+
+// <Panel ${object}>, every key of the object becomes an attribute in place of the placeholder.
+// Every commit compares the keys with the previous object: new keys are added, missing ones removed.
+class SpreadPart extends Part {
+  constructor(descriptor, node, placeholder) {
+    super(descriptor);
+    this.node = node;
+    this.placeholder = placeholder;
+    this.attributes = new Map(); // name -> attribute, in the order they sit on the node
+    this.next = undefined; // attribute that followed the placeholder, null when it was the last one
+  }
+
+  commit(value) {
+    this.connect(value, (object) => this.apply(object ?? {}));
+  }
+
+  apply(object) {
+    const { node } = this;
+    if (this.next === undefined) {
+      const index = node.attributes.indexOf(this.placeholder);
+      this.next = node.attributes[index + 1] ?? null;
+      node.attributes.splice(index, 1);
+    }
+
+    for (const [name, attribute] of this.attributes) {
+      if (Object.hasOwn(object, name)) continue;
+      node.attributes.splice(node.attributes.indexOf(attribute), 1);
+      this.attributes.delete(name);
+      node.rev.inc();
+      node.emit("attributeChanged", { name, oldValue: attribute.signal.value, value: null });
+    }
+
+    // new keys go behind the other spread attributes, where the placeholder was
+    for (const [name, content] of Object.entries(object)) {
+      const existing = this.attributes.get(name);
+      if (existing) {
+        existing.signal.value = content;
+        continue;
+      }
+      const attribute = node.qualify({ name, kind: "attribute", signal: new Signal(content) });
+      const last = [...this.attributes.values()].at(-1);
+      const next = node.attributes.indexOf(this.next);
+      node.attributes.splice(last ? node.attributes.indexOf(last) + 1 : next === -1 ? node.attributes.length : next, 0, attribute);
+      this.attributes.set(name, attribute);
+      node.rev.inc();
+      node.emit("attributeChanged", { name, oldValue: null, value: content });
+    }
+  }
+}
+
+// ${signal} or ${"text"} between tags, a TextNode that keeps the signal so the DOM Text node can follow it too
+class TextPart extends Part {
+  constructor(descriptor, anchor) {
+    super(descriptor);
+    this.type = "text";
+    this.textNode = new TextNode("");
+    this.textNode.signal = new Signal("");
+    this.textNode.signal.subscribe((v) => (this.textNode.content = v));
+    anchor.parent.insertBefore(this.textNode, anchor);
+    anchor.remove();
+  }
+
+  get nodes() {
+    return [this.textNode];
+  }
+
+  commit(value) {
+    this.connect(value, (v) => (this.textNode.signal.value = v == null ? "" : String(v)));
+  }
+
+  clear() {
+    this.textNode.remove();
+  }
+}
+
+// ${xtree`...`}, lists and repeat(): rendered in front of the marker comment, which stays in the tree as the anchor
+class ChildTemplatePart extends Part {
+  constructor(descriptor, anchor) {
+    super(descriptor);
+    this.type = "child-template";
+    this.anchor = anchor;
+    this.result = null; // TemplateResult being shown
+    this.list = null; // {items, controller} when showing a list
+  }
+
+  get nodes() {
+    const content = this.result ? this.result.nodes : this.list ? this.list.controller.nodes() : [];
+    return [...content, this.anchor];
+  }
+
+  commit(value) {
+    if (value instanceof TemplateResult) {
+      if (this.result?.template === value.template) return this.result.update(...value.values); // same template, new values
+      this.clear();
+      this.result = value;
+      for (const node of value.nodes) this.anchor.parent.insertBefore(node, this.anchor);
+      return;
+    }
+
+    if (isList(value)) {
+      // plain arrays are reconciled by position against the list that is already there
+      if (this.list && Array.isArray(value) && Array.isArray(this.list.items)) {
+        this.list.items = value;
+        return this.list.controller.reconcile(value);
+      }
+      this.clear();
+      const directive = value instanceof RepeatDirective ? value : repeat(value, (item, index) => index, (item) => item);
+      const destructibles = new Set();
+      this.list = { items: value, destructibles, controller: directive.mount(this.anchor, destructibles) };
+      return;
+    }
+
+    this.clear();
+  }
+
+  clear() {
+    if (this.result) {
+      for (const node of this.result.nodes) node.remove();
+      this.result.unsubscribe();
+      this.result = null;
+    }
+    if (this.list) {
+      this.list.destructibles.forEach((destructible) => destructible());
+      this.list = null;
+    }
+  }
+
+  dispose() {
+    this.result?.unsubscribe();
+    this.list?.destructibles.forEach((destructible) => destructible());
+  }
+}
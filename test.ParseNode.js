@@ -0,0 +1,68 @@
+import util from "node:util";
+import { XMLParser, ParseNode, TextNode } from "./src/XMLParser.js";
+
+const root = new XMLParser().parse('<Panel><VGroup gap="5"/><Text/></Panel>');
+const panel = root.find('Panel');
+const children = panel.children;
+
+// per node
+const log = (event) => console.log(event.type.padStart(16), event.target.name, event.node?.name ?? event.name);
+panel.on('childAdded', log);
+panel.on('childRemoved', log);
+panel.on('childMoved', log);
+
+// per subtree
+const detach = root.on('attributeChanged', log, { subtree: true });
+
+panel.appendChild(new ParseNode('Button'));              // childAdded Panel Button
+panel.insertBefore(panel.find('Button'), panel.children[0]); // childMoved Panel Button
+panel.find('Text').remove();                             // childRemoved Panel Text
+panel.find('VGroup').setAttribute('gap', '10');          // attributeChanged VGroup gap
+
+// invalid inserts throw before anything changes, no event is emitted
+for (const insert of [() => panel.insertBefore(new ParseNode('Image'), new ParseNode('Stray')), () => panel.find('VGroup').appendChild(panel)]) {
+  try {
+    insert();
+  } catch (error) {
+    console.log(' rejected:', error.message);
+  }
+}
+// rejected: insertBefore: reference node is not a child of <Panel>
+// rejected: insertBefore: <Panel> can not be inserted into itself or one of its descendants
+
+detach();
+panel.find('VGroup').setAttribute('gap', '20');          // nothing is printed
+
+console.log(' still the plain array:', children === panel.children, panel.children.map(child => child.name));
+
+await Promise.resolve();
+console.log('revision after one tick:', +panel.rev); // 2, all increments of the same tick count once
+
+// MutationObserver style, one callback per microtask with every record of that tick
+const tree = new XMLParser().parse('<Panel><Text>Hello</Text><VGroup/></Panel>');
+const observer = tree.observe({ subtree: true, childList: true, attributes: true, characterData: true }, (records) => {
+  for (const record of records) console.log(record.type.padStart(13), record.target.name ?? 'text', record.attributeName ?? record.oldValue ?? [...record.addedNodes, ...record.removedNodes].map(node => node.name));
+});
+const text = tree.find('Text');
+text.children[0].content = 'World';
+text.setAttribute('width', '180');
+tree.find('VGroup').appendChild(new ParseNode('Button'));
+console.log('records are delivered after this line');
+await Promise.resolve();
+// characterData text Hello
+//    attributes Text width
+//     childList VGroup [ 'Button' ]
+observer.disconnect();
+
+// observing the same node again replaces its options instead of adding listeners
+const again = tree.observe({ childList: true }, (records) => console.log(records.map(record => record.type)));
+again.observe(tree, { attributes: true });
+tree.setAttribute('id', 'main');
+tree.appendChild(new ParseNode('Footer'));
+await Promise.resolve(); // [ 'attributes' ]
+again.disconnect();
+
+// the content of text nodes shows up when they are inspected or turned into JSON
+const hello = new XMLParser().parse('<p>Hello</p>').find('p').children[0];
+console.log(util.inspect(hello, { depth: 0 })); // TextNode { content: 'Hello', parent: [ParseNode], location: [Object] }
+console.log(JSON.stringify(new TextNode('Hi'))); // {"content":"Hi","parent":null}
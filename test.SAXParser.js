@@ -0,0 +1,53 @@
+import { Readable } from "node:stream";
+import { SAXParser } from "./src/SAXParser.js";
+import { XMLParser } from "./src/XMLParser.js";
+
+// events instead of a tree, the same rules as XMLParser
+const events = [];
+const sax = new SAXParser({
+  onOpenTag: (name, attributes, { selfClosing }) => events.push(`open ${name}${selfClosing ? ' /' : ''}`),
+  onAttribute: ({ name, value }) => events.push(`attribute ${name}=${value}`),
+  onText: text => events.push(`text ${text}`),
+  onComment: content => events.push(`comment ${content}`),
+  onCloseTag: name => events.push(`close ${name}`),
+});
+sax.parse(`<order id="7"><!-- rush --><item sku="a&amp;b"/>2 &lt; 3</order>`);
+console.log(events.join('\n'));
+// attribute id=7
+// open order
+// comment  rush
+// attribute sku=a&b
+// open item /
+// close item
+// text 2 < 3
+// close order
+
+// nothing is kept, large inputs only cost the time to read them
+let rows = 0;
+new SAXParser({ onOpenTag: name => name === 'row' && rows++ }).parse(`<rows>${'<row><cell>x</cell></row>'.repeat(100000)}</rows>`);
+console.log(rows); // 100000
+
+// chunks may end anywhere, here in the middle of a tag, an attribute, an entity and a UTF-8 character
+const bytes = new TextEncoder().encode(`<menu><item price="4.50">café &amp; croissant</item><!-- closed on sundays --></menu>`);
+const names = [];
+const incremental = new SAXParser({ onOpenTag: name => names.push(name), onText: text => names.push(text) });
+for (let index = 0; index < bytes.length; index += 5) incremental.write(bytes.subarray(index, index + 5));
+incremental.end();
+console.log(names); // [ 'menu', 'item', 'café & croissant' ]
+
+// XMLParser builds a tree the same way, from a Node stream or a WHATWG ReadableStream
+const fromNode = await new XMLParser().parseStream(Readable.from([`<a><b>o`, `ne</b></`, `a>`]));
+const fromWeb = await new XMLParser().parseStream(new Blob([`<a><b>tw`, `o</b></a>`]).stream());
+console.log(fromNode.find('b').children[0].content, fromWeb.find('b').children[0].content); // one two
+
+// streamed input keeps only the text around the parser, lines are counted as it goes
+const lines = `<log>\n${Array.from({ length: 1000 }, (_, i) => `  <entry n="${i}"/>`).join('\n')}\n  <entry>\n</log>`;
+const streamed = new SAXParser({}, { recover: true });
+for (let index = 0; index < lines.length; index += 10) streamed.write(lines.slice(index, index + 10));
+const [unclosed] = streamed.end();
+console.log(unclosed.message);
+// Unclosed element <entry>, closed by </log> (line 1002, column 3)
+//   1001 |   <entry n="999"/>
+// > 1002 |   <entry>
+//        |   ^
+//   1003 | </log>
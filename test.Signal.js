@@ -0,0 +1,90 @@
+import { Signal, computed, batch } from "./src/Signal.js";
+
+const width = new Signal(200);
+const height = new Signal(150);
+
+// computed(): dependencies are discovered automatically
+const area = computed(() => width.value * height.value);
+console.log('       area: ' + area.value); // 30000
+
+// Signal.derive(): dependencies are listed explicitly
+const label = Signal.derive([width, height], (w, h) => `${w}x${h}`);
+const unsubscribe = label.subscribe(v => console.log('  label now: ' + v)); // 200x150
+
+width.value = 100; // label now: 100x150
+console.log('       area: ' + area.value); // 15000
+
+// every way of writing throws, the value only changes when an upstream signal does
+for (const write of [() => (area.value = 1), () => area.update(v => v + 1), () => area.mutate(() => {})]) {
+  try {
+    write();
+  } catch (error) {
+    console.log('  read-only: ' + error.message); // read-only: Computed signals are read-only (3 times)
+  }
+}
+console.log('       area: ' + area.value); // 15000
+
+// upstream subscriptions are released through the normal lifecycle
+unsubscribe();
+label.clear();
+area.clear();
+height.value = 10; // nothing is printed
+
+// batch(): subscribers hear about the final value once, after the outermost batch is done
+const x = new Signal(1);
+const y = new Signal(1);
+x.subscribe(v => console.log('          x: ' + v)); // x: 1
+y.subscribe(v => console.log('          y: ' + v)); // y: 1
+batch(() => {
+  x.value = 2;
+  x.value = 3;
+  batch(() => (y.value = 4));
+  console.log('   in batch: nothing was delivered yet');
+});
+await Promise.resolve();
+console.log('after batch: x and y were delivered once each'); // x: 3, y: 4
+
+// computed values are up to date inside a batch and right after it, only subscribers wait
+const doubled = computed(() => x.value * 2);
+const quadrupled = computed(() => doubled.value * 2);
+quadrupled.subscribe(v => console.log(' quadrupled: ' + v)); // quadrupled: 12
+batch(() => {
+  x.value = 5; // x is delivered later
+  console.log('   in batch: ' + doubled.value + ' ' + quadrupled.value); // in batch: 10 20
+});
+console.log('after batch: ' + doubled.value + ' ' + quadrupled.value); // after batch: 10 20
+await Promise.resolve(); // quadrupled: 20, x: 5
+
+// diamond: d depends on a twice (through b and c), it recomputes once with both new values
+const a = new Signal(1);
+const b = computed(() => a.value * 2);
+const c = computed(() => a.value * 3);
+const d = computed(() => `${b.value}+${c.value}`);
+d.subscribe(v => console.log('    diamond: ' + v)); // diamond: 2+3
+a.value = 2; // diamond: 4+6
+
+// equals: strict by default, 0 and "" are different values now
+const count = new Signal(0);
+count.subscribe(v => console.log('      count: ' + JSON.stringify(v))); // count: 0
+count.value = ""; // count: ""
+
+// deep equality ignores look-alike objects, mutate() always notifies
+const attributes = new Signal({ id: "a" }, { equals: "deep" });
+attributes.subscribe(v => console.log(' attributes: ' + JSON.stringify(v))); // attributes: {"id":"a"}
+attributes.value = { id: "a" }; // nothing is printed
+attributes.mutate(object => (object.id = "b")); // attributes: {"id":"b"}
+attributes.update(object => ({ ...object, role: "button" })); // attributes: {"id":"b","role":"button"}
+
+// a subscriber that throws during the flush does not stop later batches (the error is reported as uncaught)
+process.once('uncaughtException', error => console.log('     thrown: ' + error.message));
+const first = new Signal(0);
+const second = new Signal(0);
+first.subscribe(v => { if (v) throw new Error('broken subscriber'); });
+second.subscribe(v => console.log('     second: ' + v)); // second: 0
+batch(() => {
+  first.value = 1;
+  second.value = 1;
+});
+await new Promise(resolve => setTimeout(resolve)); // thrown: broken subscriber, second: 1
+batch(() => (second.value = 2));
+await Promise.resolve(); // second: 2
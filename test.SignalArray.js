@@ -0,0 +1,38 @@
+import { SignalArray } from "./src/SignalArray.js";
+import { batch, computed } from "./src/Signal.js";
+
+const list = new SignalArray(['a', 'b', 'c']);
+list.subscribe((items, changes) => console.log([...items].join(','), JSON.stringify(changes)));
+// a,b,c [{"index":0,"removed":[],"added":["a","b","c"]}]
+
+list.push('d');         // a,b,c,d [{"index":3,"removed":[],"added":["d"]}]
+list.pop();             // a,b,c [{"index":3,"removed":["d"],"added":[]}]
+list.splice(1, 1, 'x'); // a,x,c [{"index":1,"removed":["b"],"added":["x"]}]
+list.reverse();         // c,x,a [{"index":0,"removed":["a","x","c"],"added":["c","x","a"]}]
+list.sort();            // a,c,x [{"index":0,"removed":["c","x","a"],"added":["a","c","x"]}]
+
+// records pile up inside a batch and arrive together
+batch(() => {
+  list.unshift('0');
+  list.shift();
+  list.push('y');
+});
+await Promise.resolve();
+// a,c,x,y [{"index":0,"removed":[],"added":["0"]},{"index":0,"removed":["0"],"added":[]},{"index":3,"removed":[],"added":["y"]}]
+
+// iterable, and usable as a computed() dependency
+const joined = computed(() => [...list].join('+'));
+console.log(joined.value); // a+c+x+y
+list.pop();                // a,c,x [{"index":3,"removed":["y"],"added":[]}]
+console.log(joined.value); // a+c+x
+
+// even inside a batch
+batch(() => {
+  list.push('z');
+  console.log(joined.value); // a+c+x+z
+});
+await Promise.resolve();   // a,c,x,z [{"index":3,"removed":[],"added":["z"]}]
+
+// value is a copy, writing to it leaves the array alone
+list.value.push('nope');
+console.log(list.value.join(',')); // a,c,x,z
@@ -0,0 +1,109 @@
+import { XMLParser, XMLParseError, NAMESPACES, CDataNode, ProcessingInstructionNode, DoctypeNode } from "./src/XMLParser.js";
+
+// entity references are decoded, text and attributes hold the real characters
+const root = new XMLParser().parse(`<a title="x &amp; &quot;y&quot;" note='&#x27;q'>1 &lt; 2 &amp;&amp; &#169;</a>`);
+const a = root.children[0];
+console.log(a.attributes.map(attribute => attribute.value)); // [ 'x & "y"', "'q" ]
+console.log(a.children[0].content); // 1 < 2 && ©
+
+// unchanged values are written back exactly as they were parsed
+console.log(root.toXML()); // <a title="x &amp; &quot;y&quot;" note='&#x27;q'>1 &lt; 2 &amp;&amp; &#169;</a>
+
+// changed values are escaped
+a.children[0].content = 'x < y & "z"';
+a.setAttribute('title', `he said "hi" & 'bye'`);
+console.log(root.toXML()); // <a title="he said &quot;hi&quot; &amp; 'bye'" note='&#x27;q'>x &lt; y &amp; "z"</a>
+
+// HTML named references are opt in, unknown names are left alone
+console.log(new XMLParser().parse('<p>&hellip;</p>').children[0].children[0].content); // &hellip;
+console.log(new XMLParser({ htmlEntities: true }).parse('<p>&hellip;</p>').children[0].children[0].content); // …
+
+// CDATA sections, processing instructions and doctypes are nodes of their own and round-trip exactly
+const document = new XMLParser().parse(`<?xml  version="1.0" encoding="UTF-8"?>
+<!DOCTYPE note [ <!ENTITY x "a > b"> ]>
+<note><code><![CDATA[ if (a > b && c < d) ]]></code></note>`);
+console.log(document.toXML());
+// <?xml  version="1.0" encoding="UTF-8"?>
+// <!DOCTYPE note [ <!ENTITY x "a > b"> ]>
+// <note>
+//   <code><![CDATA[ if (a > b && c < d) ]]></code>
+// </note>
+console.log(document.findType(CDataNode).map(node => node.content)); // [ ' if (a > b && c < d) ' ]
+console.log(document.findType(ProcessingInstructionNode).map(node => [node.target, node.content])); // [ [ 'xml', 'version="1.0" encoding="UTF-8"' ] ]
+console.log(document.findType(DoctypeNode).map(node => node.content)); // [ 'note [ <!ENTITY x "a > b"> ]' ]
+console.log(new XMLParser().parse(document.toXML()).toXML() === document.toXML()); // true
+
+// namespaces come from the xmlns declarations in scope
+const drawing = new XMLParser().parse(`<doc xmlns="urn:doc" xmlns:s="http://www.w3.org/2000/svg" xmlns:x="http://www.w3.org/1999/xlink">
+  <s:svg><s:use x:href="#a" width="10"/></s:svg>
+  <item xmlns=""><leaf/></item>
+</doc>`);
+const use = drawing.find('s:use');
+console.log(use.prefix, use.localName, use.namespaceURI); // s use http://www.w3.org/2000/svg
+console.log(use.attributes.map(({ name, prefix, localName, namespaceURI }) => [name, prefix, localName, namespaceURI]));
+// [ [ 'x:href', 'x', 'href', 'http://www.w3.org/1999/xlink' ], [ 'width', null, 'width', null ] ]
+console.log(drawing.find('doc').namespaceURI, drawing.find('leaf').namespaceURI); // urn:doc null
+console.log(drawing.findAllNS(NAMESPACES.svg, '*').map(node => node.name)); // [ 's:svg', 's:use' ]
+
+// every parsed node knows where it came from, errors point at the line and column
+const list = new XMLParser().parse(`<ul>
+  <li>one</li>
+</ul>`);
+console.log(list.find('li').location); // { start: 7, end: 19, line: 2, column: 3 }
+try {
+  new XMLParser().parse(`<ul>
+  <li>one</lu>
+</ul>`);
+} catch (error) {
+  console.log(error instanceof XMLParseError, error.code, error.expected); // true MISMATCHED_TAG </li>
+  console.log(error.message);
+  // Mismatched closing tag: expected </li>, got </lu> (line 2, column 10)
+  //   1 | <ul>
+  // > 2 |   <li>one</lu>
+  //     |          ^
+  //   3 | </ul>
+  //
+  // Unclosed element <li>, closed by </ul> (line 2, column 3)
+  //   1 | <ul>
+  // > 2 |   <li>one</lu>
+  //     |   ^
+  //   3 | </ul>
+}
+
+// recover: bad markup is closed or skipped like an HTML parser would, every problem is reported
+const { tree, diagnostics } = new XMLParser({ recover: true }).parse(`<ul><li>one</ul><p>two</span></p>`);
+console.log(tree.toXML());
+// <ul>
+//   <li>one</li>
+// </ul>
+// <p>two</p>
+console.log(diagnostics.map(({ code, location }) => `${code} ${location.line}:${location.column}`)); // [ 'UNCLOSED_ELEMENT 1:5', 'MISMATCHED_TAG 1:23' ]
+
+// strict by default: every unclosed element and stray closing tag is reported at once
+try {
+  new XMLParser().parse(`<Panel><VGroup>
+  <Item/>`);
+} catch (error) {
+  console.log(error.diagnostics.map(({ code, location }) => `${code} ${location.line}:${location.column}`)); // [ 'UNCLOSED_ELEMENT 1:8', 'UNCLOSED_ELEMENT 1:1' ]
+}
+
+// toXML() output parses again: self-closing elements keep their slash, void elements go without
+const config = new XMLParser().parse(`<config><server id="a"/><p>one<br>two</p></config>`);
+console.log(config.find('server').selfClosing, config.find('server').isVoid, config.find('br').isVoid); // true false true
+const reparsed = new XMLParser().parse(config.toXML());
+console.log(reparsed.toXML() === config.toXML(), reparsed.find('server').selfClosing); // true true
+
+// strict: false closes and drops quietly, for hand-written HTML
+console.log(new XMLParser({ strict: false }).parse(`<p>one<br></div>`).toXML());
+// <p>
+//   one
+//   <br>
+// </p>
+
+// attribute namespaces follow the declarations in scope, the same way the namespace of their element does
+const moved = drawing.find('s:use');
+const href = moved.attributes[0];
+drawing.find('doc').setAttribute('xmlns:x', 'urn:links');
+console.log(href.namespaceURI, moved.namespaceURI); // urn:links http://www.w3.org/2000/svg
+new XMLParser().parse('<other xmlns:x="urn:other"/>').find('other').appendChild(moved);
+console.log(href.namespaceURI, moved.namespaceURI); // urn:other null
@@ -0,0 +1,32 @@
+import { XMLParser } from "./src/XMLParser.js";
+import { diff, patch, serialize } from "./src/diff.js";
+
+const parser = new XMLParser();
+const before = parser.parse(`
+  <config version="1">
+    <server id="a" port="80"/>
+    <server id="b" port="81"/>
+    <log level="info">verbose</log>
+  </config>`);
+const after = parser.parse(`
+  <config version="2">
+    <log>quiet</log>
+    <server id="b" port="81"/>
+    <server id="c" port="82"/>
+    <server id="a" port="8080"/>
+  </config>`);
+
+const ops = diff(before, after);
+for (const op of ops) console.log(JSON.stringify(op));
+// {"op":"setAttr","path":[0],"name":"version","value":"2"}
+// {"op":"move","path":[0],"from":2,"to":0}
+// {"op":"move","path":[0],"from":2,"to":1}
+// {"op":"insert","path":[0],"index":2,"node":{"type":"element","name":"server",...}}
+// {"op":"removeAttr","path":[0,0],"name":"level"}
+// {"op":"setText","path":[0,0,0],"value":"quiet"}
+// {"op":"setAttr","path":[0,3],"name":"port","value":"8080"}
+
+// operations are plain data, they survive JSON
+patch(before, JSON.parse(JSON.stringify(ops)));
+console.log('patched tree matches:', JSON.stringify(serialize(before)) === JSON.stringify(serialize(after))); // true
+console.log('nothing left to do:', diff(before, after).length === 0); // true
@@ -0,0 +1,242 @@
+import { xtree, render, hydrate, renderToString } from "./src/xml.js";
+import { Signal } from "./src/Signal.js";
+import { XMLParser, ParseNode, TextNode } from "./src/XMLParser.js";
+
+// Just enough of the browser DOM for render() and hydrate(), outerHTML shows what a browser would have
+class Node {
+  constructor(nodeType, nodeName) {
+    this.nodeType = nodeType;
+    this.nodeName = nodeName;
+    this.childNodes = [];
+    this.parentNode = null;
+  }
+
+  insertBefore(node, reference) {
+    node.remove();
+    const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+    if (index === -1) throw new Error("insertBefore: reference is not a child");
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    this.parentNode.childNodes.splice(this.parentNode.childNodes.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  contains(node) {
+    for (; node; node = node.parentNode) if (node === this) return true;
+    return false;
+  }
+}
+
+class Text extends Node {
+  constructor(data) {
+    super(3, "#text");
+    this.data = data;
+  }
+
+  get outerHTML() {
+    return this.data;
+  }
+}
+
+class Comment extends Node {
+  constructor(data) {
+    super(8, "#comment");
+    this.data = data;
+  }
+
+  get outerHTML() {
+    return `<!--${this.data}-->`;
+  }
+}
+
+class Element extends Node {
+  #attributes = new Map();
+  #listeners = [];
+
+  constructor(namespaceURI, localName) {
+    super(1, localName.toUpperCase());
+    this.namespaceURI = namespaceURI;
+    this.localName = localName;
+  }
+
+  get attributes() {
+    return [...this.#attributes].map(([name, value]) => ({ name, value }));
+  }
+
+  getAttribute(name) {
+    return this.#attributes.get(name) ?? null;
+  }
+
+  setAttribute(name, value) {
+    this.#attributes.set(name, String(value));
+  }
+
+  setAttributeNS(namespaceURI, name, value) {
+    this.setAttribute(name, value);
+  }
+
+  removeAttribute(name) {
+    this.#attributes.delete(name);
+  }
+
+  toggleAttribute(name, force) {
+    if (force) this.setAttribute(name, "");
+    else this.removeAttribute(name);
+  }
+
+  addEventListener(type, listener, options) {
+    this.#listeners.push({ type, listener, options });
+  }
+
+  removeEventListener(type, listener) {
+    this.#listeners = this.#listeners.filter((entry) => entry.type !== type || entry.listener !== listener);
+  }
+
+  dispatchEvent(event) {
+    for (const { type, listener, options } of this.#listeners) {
+      if (type !== event.type) continue;
+      if (options?.once) this.removeEventListener(type, listener);
+      listener(event);
+    }
+  }
+
+  focus() {
+    document.activeElement = this;
+  }
+
+  get innerHTML() {
+    return this.childNodes.map((node) => node.outerHTML).join("");
+  }
+
+  get outerHTML() {
+    const attributes = this.attributes.map(({ name, value }) => ` ${name}="${value}"`).join("");
+    return `<${this.localName}${attributes}>${this.innerHTML}</${this.localName}>`;
+  }
+}
+
+globalThis.document = {
+  activeElement: null,
+  createElementNS: (namespaceURI, name) => new Element(namespaceURI, name),
+  createTextNode: (data) => new Text(data),
+  createComment: (data) => new Comment(data),
+};
+
+// first render builds the DOM
+const container = new Element(null, "main");
+const count = new Signal(0);
+const counter = (label, disabled) => xtree`<div class="counter"><button ?disabled=${disabled} @click=${() => count.value++}>${label}</button><output>${count}</output></div>`;
+render(counter("Add", false), container);
+console.log(container.innerHTML);
+// <div class="counter"><button>Add</button><output>0</output></div>
+
+// events and signals are bound
+const button = container.childNodes[0].childNodes[0];
+button.dispatchEvent({ type: "click" });
+console.log(container.innerHTML);
+// <div class="counter"><button>Add</button><output>1</output></div>
+
+// the same template again: only the values change, the elements stay
+render(counter("Increment", true), container);
+console.log(container.innerHTML, container.childNodes[0].childNodes[0] === button);
+// <div class="counter"><button disabled="">Increment</button><output>1</output></div> true
+
+// a different template: elements with the same tag (and key or id) are reused, so focus survives
+const field = (value) => xtree`<form><input id="name" .value=${value}/></form>`;
+render(field("Ada"), container);
+const input = container.childNodes[0].childNodes[0];
+input.focus();
+const fieldWithHint = (value) => xtree`<form><label>Name</label><input id="name" .value=${value}/></form>`;
+render(fieldWithHint("Ada Lovelace"), container);
+console.log(container.innerHTML);
+// <form><label>Name</label><input id="name"></input></form>
+console.log(input.value, container.contains(input), document.activeElement === input);
+// Ada Lovelace true true
+
+// event modifiers: prevent calls preventDefault() first, once removes the listener after the first event
+let submits = 0;
+render(xtree`<form @submit.prevent.once=${() => submits++}></form>`, container);
+const form = container.childNodes[0];
+const submit = { type: "submit", defaultPrevented: false, preventDefault() { this.defaultPrevented = true; } };
+form.dispatchEvent(submit);
+form.dispatchEvent({ ...submit });
+console.log(submits, submit.defaultPrevented); // 1 true
+
+// spread objects add and remove attributes as their keys change
+const box = (attributes) => xtree`<div ${attributes}></div>`;
+render(box({ title: "a", role: "note" }), container);
+render(box({ title: "b", hidden: "" }), container);
+console.log(container.innerHTML); // <div title="b" hidden=""></div>
+
+// null empties the container
+render(null, container);
+console.log(JSON.stringify(container.innerHTML)); // ""
+
+// a TemplateResult appended on its own follows its signals until it is unsubscribed
+const total = new Signal(3);
+const summary = xtree`<p>${total} items</p>`;
+const list = new Element(null, "section");
+summary.appendInto(list);
+total.value = 4;
+console.log(list.innerHTML); // <p>4 items</p>
+summary.unsubscribe();
+total.value = 5;
+console.log(list.innerHTML); // <p>4 items</p>
+
+// hydrate() takes over the markup of renderToString(), here turned into DOM nodes the way a browser would
+function parseHTML(html) {
+  const build = (parent, node) => {
+    for (const child of node.children) {
+      if (child instanceof ParseNode) {
+        const element = parent.appendChild(document.createElementNS(null, child.name));
+        for (const { name, value } of child.attributes) element.setAttribute(name, value);
+        build(element, child);
+      } else {
+        parent.appendChild(child instanceof TextNode ? document.createTextNode(child.content) : document.createComment(child.content));
+      }
+    }
+  };
+  const host = new Element(null, "main");
+  build(host, new XMLParser({ preserveWhitespace: true }).parse(html));
+  return host;
+}
+
+// dynamic text next to static text is a text node of its own, between markers
+const name = new Signal("Bob");
+const greeting = () => xtree`<p>${name} is here, ${"welcome"}!</p>`;
+const html = renderToString(greeting());
+console.log(html); // <p><!--hj:t-->Bob<!--/hj:t--> is here, <!--hj:t-->welcome<!--/hj:t-->!</p>
+const server = parseHTML(html);
+const paragraph = server.childNodes[0];
+hydrate(greeting(), server);
+name.value = "Alice";
+console.log(server.innerHTML, server.childNodes[0] === paragraph);
+// <p><!--hj:t-->Alice<!--/hj:t--> is here, <!--hj:t-->welcome<!--/hj:t-->!</p> true
+
+// empty dynamic text has no DOM node yet, hydrate() puts one between the markers
+const status = new Signal("");
+const badge = () => xtree`<span>${status}ok</span>`;
+const empty = parseHTML(renderToString(badge()));
+hydrate(badge(), empty);
+status.value = "not ";
+console.log(empty.innerHTML); // <span><!--hj:t-->not <!--/hj:t-->ok</span>
+
+// attributes are written the way renderToString() writes them, on hydrate() and on render()
+const on = new Signal(false);
+const sized = () => xtree`<div width="50%" data-on=${on}></div>`;
+const sizedServer = parseHTML(renderToString(sized()));
+hydrate(sized(), sizedServer);
+console.log(sizedServer.innerHTML); // <div width="50%"></div>
+render(sized(), container);
+on.value = "yes";
+console.log(sizedServer.innerHTML, container.innerHTML); // <div width="50%" data-on="yes"></div> <div width="50%" data-on="yes"></div>
+on.value = false;
+console.log(container.innerHTML); // <div width="50%"></div>
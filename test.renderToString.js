@@ -0,0 +1,26 @@
+import { xtree, repeat, renderToString } from "./src/xml.js";
+import { renderToStream } from "./src/renderToString.js";
+import { Signal } from "./src/Signal.js";
+import { SignalArray } from "./src/SignalArray.js";
+
+const title = new Signal("Fish & <Chips>");
+const result = xtree`<article class="${'menu "daily"'}" ?hidden=${false} @click=${() => {}}><h1>${title}</h1><img src="${'fish.png'}"/><p>static</p></article>`;
+
+console.log(renderToString(result));
+// <article class="menu &quot;daily&quot;"><h1><!--hj:t-->Fish &amp; &lt;Chips&gt;<!--/hj:t--></h1><img src="fish.png"><p>static</p></article>
+
+title.value = "Soup";
+console.log(renderToString(result, { markers: false }));
+// <article class="menu &quot;daily&quot;"><h1>Soup</h1><img src="fish.png"><p>static</p></article>
+
+// streaming: rows are rendered one at a time while the chunks are consumed
+
+const rows = new SignalArray(Array.from({ length: 10000 }, (_, i) => i));
+const report = xtree`<table>${repeat(rows, row => row, row => xtree`<tr><td>${row}</td></tr>`)}</table>`;
+let chunks = 0;
+let length = 0;
+for await (const chunk of renderToStream(report, { chunkSize: 64 * 1024 })) {
+  chunks++;
+  length += chunk.length;
+}
+console.log(`streamed ${length} characters in ${chunks} chunks, tree built: ${report.instantiated}`); // ... tree built: false
@@ -0,0 +1,27 @@
+import { xtree, repeat } from "./src/xml.js";
+import { SignalArray } from "./src/SignalArray.js";
+
+const todos = new SignalArray([{ id: 1 }, { id: 2 }, { id: 3 }]);
+const result = xtree`<ul>${repeat(todos, todo => todo.id, todo => xtree`<li id="${todo.id}"></li>`)}</ul>`;
+
+const ids = () => result.tree.findAll('li').map(li => li.attributes[0].signal.value).join(',');
+const first = result.tree.find('li');
+
+console.log('  rendered:', ids()); // 1,2,3
+todos.reverse();
+console.log('  reversed:', ids(), result.tree.children[2] === first); // 3,2,1 true (the ParseNode was moved, not rebuilt)
+todos.splice(1, 1, { id: 7 });
+console.log('  replaced:', ids()); // 3,7,1
+result.unsubscribe();
+console.log('unsubscribed:', ids()); // empty
+
+// items that are not templates, strings and numbers, are rendered as text
+const texts = (tree) => tree.children.filter(node => node.signal).map(node => node.content).join(',');
+const words = xtree`<ul>${['a', 'b', 3]}</ul>`;
+console.log('     plain:', texts(words.tree)); // a,b,3
+words.update(['a', 4]);
+console.log('   updated:', texts(words.tree)); // a,4
+const names = new SignalArray(['x', 'y']);
+const keyed = xtree`<ul>${repeat(names, name => name, name => name.toUpperCase())}</ul>`;
+names.unshift('w');
+console.log('     keyed:', texts(keyed.tree)); // W,X,Y
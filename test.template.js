@@ -0,0 +1,64 @@
+import { xtree } from "./src/xml.js";
+
+const view = (title, items) => xtree`<Panel class="${title}"><Text>${title}</Text><VGroup>${items.map(item => xtree`<Item id="${item}"/>`)}</VGroup></Panel>`;
+
+const result = view('first', ['a', 'b']);
+console.log('parts:', result.instance.parts.map(part => part.type).join(', ')); // attribute, text, child-template
+
+const panel = result.tree;
+const text = panel.find('Text').children[0];
+const firstItem = panel.find('Item');
+const ids = () => panel.findAll('Item').map(item => item.attributes[0].signal.value).join(',');
+console.log('  rendered:', panel.attributes[0].signal.value, text.content, ids()); // first first a,b
+
+// the same template with new values: only the parts are updated, the nodes stay
+result.update(...view('second', ['a', 'c', 'd']).values);
+console.log('re-rendered:', panel.attributes[0].signal.value, text.content, ids()); // second second a,c,d
+console.log('same nodes:', panel === result.tree, text === panel.find('Text').children[0], firstItem === panel.find('Item')); // true true true
+
+// template nodes are located in the tagged template as written, not in the marked-up string
+{
+  const who = 'world';
+  const greeting = xtree`<section>
+  <p>Hello ${who}!</p>
+</section>`;
+  const [hello, marker] = greeting.template.prototype.find('p').children;
+  console.log(hello.location); // { start: 15, end: 21, line: 2, column: 6, segment: 0 }
+  console.log(marker.location); // { start: 21, end: 25, line: 2, column: 12, segment: 0, interpolation: 0 }, the ${…} of value 0
+}
+
+// text inside elements is kept as written, the whitespace next to ${} included
+{
+  const text = (node) => node.children.map(child => child.content).join('');
+  const [a, b, name] = ['A', 'B', 'Bob'];
+  console.log(JSON.stringify(text(xtree`<p>${a} ${b}</p>`.tree))); // "A B"
+  console.log(JSON.stringify(text(xtree`<p>${name} is here</p>`.tree))); // "Bob is here"
+  console.log(JSON.stringify(text(xtree`<p>
+  Hello, ${name}
+</p>`.tree))); // "\n  Hello, Bob\n"
+}
+
+// nodes follows a part that switches between text and a template
+{
+  const result = xtree`${'x'}<p/>`;
+  const names = () => result.nodes.map(node => node.name ?? JSON.stringify(node.content)).join(', ');
+  console.log(names()); // "x", p
+  result.update(xtree`<b/>`);
+  console.log(names(), '|', result.tree.children.map(node => node.name ?? JSON.stringify(node.content)).join(', ')); // b, " ::0 ", p | b, " ::0 ", p
+  result.update('y');
+  console.log(names()); // "y", p
+}
+
+// spread objects: keys that appear are added, keys that go away are removed
+{
+  const spread = (object) => xtree`<Panel id="p" ${object} gap="5"/>`;
+  const result = spread({ a: 1, b: 2 });
+  const attributes = () => result.tree.attributes.map(attribute => `${attribute.name}=${attribute.signal.value}`).join(' ');
+  console.log(attributes()); // id=p a=1 b=2 gap=5
+  result.update({ b: 3, c: 4 });
+  console.log(attributes()); // id=p b=3 c=4 gap=5
+  result.update({});
+  console.log(attributes()); // id=p gap=5
+  result.update({ d: 5 });
+  console.log(attributes()); // id=p d=5 gap=5
+}